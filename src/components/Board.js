@@ -1,41 +1,247 @@
-import React from 'react';
+import React, { memo, useState } from 'react';
 import Cell from './Cell';
+import { CELL_STATUS_CODE, BOARD_TOPOLOGY } from '../constants/gameTypes';
+import { getCell } from '../utils/minesweeperLogic';
+import { getNeighbours, isWrappedNeighbour, toIndex } from '../utils/boardGeometry';
 import './Board.css';
 
+/**
+ * Checks whether a row needs to be rendered again.
+ * Boards are immutable and only copy the arrays that change, so a row is
+ * unchanged when the mines and counts are the same arrays and its slice
+ * of the status array, flag owners, disputes and territory claims holds the same values.
+ *
+ * @param {Object} prev - Previous row properties
+ * @param {Object} next - Next row properties
+ * @returns {boolean} True if the row can skip rendering
+ */
+const isSameRow = (prev, next) => {
+    if (prev.y !== next.y || prev.hint !== next.hint || prev.playerColors !== next.playerColors) return false;
+    if (String(prev.wrapped) !== String(next.wrapped)) return false;
+    if (Boolean(prev.heatmap) !== Boolean(next.heatmap)) return false;
+
+    const a = prev.board;
+    const b = next.board;
+    const start = next.y * b.width;
+    if (prev.heatmap !== next.heatmap) {
+        for (let index = start; index < start + b.width; index++) {
+            if (prev.heatmap[index] !== next.heatmap[index]) return false;
+        }
+    }
+
+    if (a === b) return true;
+    if (a.width !== b.width || a.topology !== b.topology || a.neighbourhood !== b.neighbourhood || a.voids !== b.voids || a.mines !== b.mines || a.adjacent !== b.adjacent) return false;
+
+    for (let index = start; index < start + b.width; index++) {
+        if (a.status[index] !== b.status[index]) return false;
+        if (a.flagOwners?.[index] !== b.flagOwners?.[index] || a.disputes?.[index] !== b.disputes?.[index]) return false;
+    }
+    return true;
+};
+
+/**
+ * Checks whether the territory claims of a row are unchanged.
+ *
+ * @param {Object} prev - Previous row properties
+ * @param {Object} next - Next row properties
+ * @returns {boolean} True if every cell of the row has the same claim
+ */
+const isSameRowClaims = (prev, next) => {
+    if (prev.claims === next.claims) return true;
+    if (!prev.claims || !next.claims) return false;
+
+    const start = next.y * next.board.width;
+    for (let index = start; index < start + next.board.width; index++) {
+        if (prev.claims[index] !== next.claims[index]) return false;
+    }
+    return true;
+};
+
+/**
+ * BoardRow Component - Renders one row of cells
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.board - The game board
+ * @param {number} props.y - Row index
+ * @param {Object|null} props.hint - Hint highlighted on this row { x, kind }
+ * @param {Array<number>|null} props.wrapped - Columns of this row that neighbour the hovered cell across an edge
+ * @param {Float32Array|null} props.heatmap - Mine probability of every cell of the board, when the overlay is shown
+ * @param {Object|null} props.playerColors - Color of each player by peerId, for the flags they own and the cells they claim
+ * @param {Array<string|null>|null} props.claims - peerId of the player who claimed each cell, in territory games
+ * @returns {JSX.Element} Row of cells
+ */
+const BoardRow = memo(({ board, y, hint, wrapped, heatmap, playerColors, claims }) => (
+    <div className={`board-row ${board.topology === BOARD_TOPOLOGY.HEX && y % 2 === 1 ? 'offset' : ''}`}>
+        {Array.from({ length: board.width }, (_, x) => (
+            <Cell
+                key={x}
+                cell={getCell(board, x, y)}
+                x={x}
+                y={y}
+                hint={hint?.x === x ? hint.kind : null}
+                wrapped={Boolean(wrapped?.includes(x))}
+                neighbourhood={board.neighbourhood}
+                probability={heatmap ? heatmap[y * board.width + x] : -1}
+                flagColor={playerColors?.[board.flagOwners?.[y * board.width + x]]}
+                claimColor={claims ? playerColors?.[claims[y * board.width + x]] : undefined}
+            />
+        ))}
+    </div>
+), (prev, next) => isSameRow(prev, next) && isSameRowClaims(prev, next));
+
+/**
+ * Reads the coordinates of the cell targeted by a board event.
+ * Void cells are not part of the board, events on them are ignored.
+ *
+ * @param {React.SyntheticEvent} e - Event fired inside the board
+ * @returns {{ x: number, y: number }|null} Cell coordinates or null outside cells
+ */
+const getEventCell = (e) => {
+    const target = e.target.closest('.cell');
+    if (!target || target.classList.contains('void')) return null;
+    return { x: Number(target.dataset.x), y: Number(target.dataset.y) };
+};
+
+/**
+ * Lists, row by row, the neighbours of a cell that are only reached by wrapping around an edge.
+ *
+ * @param {Object} board - The game board
+ * @param {number|null} index - Index of the hovered cell
+ * @returns {Map<number, Array<number>>} Wrapped neighbour columns by row
+ */
+const getWrappedNeighboursByRow = (board, index) => {
+    const rows = new Map();
+    if (index === null) return rows;
+
+    getNeighbours(board, index).forEach(neighbour => {
+        if (!isWrappedNeighbour(board, index, neighbour)) return;
+        const x = neighbour % board.width;
+        const y = (neighbour - x) / board.width;
+        rows.set(y, [...(rows.get(y) || []), x]);
+    });
+    return rows;
+};
+
 /**
  * Board Component - Renders the Minesweeper game board
  * 
+ * Rows only render again when one of their cells changes, and mouse events are
+ * handled once at the board level, which keeps very large boards responsive.
+ * Hexagonal boards shift odd rows by half a cell so each cell touches six neighbours,
+ * and shaped boards leave their void cells as empty space.
+ * On boards that wrap around, hovering a cell near an edge highlights its neighbours
+ * on the opposite side.
+ * 
  * @component
  * @param {Object} props - Component properties
- * @param {Array<Array>} props.board - 2D array representing the game board state
+ * @param {Object} props.board - The game board (see minesweeperLogic)
  * @param {Function} props.onCellClick - Handler for left-click cell interactions
  * @param {Function} props.onCellRightClick - Handler for right-click cell interactions (flagging)
+ * @param {Function} props.onCellChord - Handler for chording on revealed numbers
  * @param {string} props.gameStatus - Current game status ('playing', 'won', or 'lost')
+ * @param {Object} [props.hintCell] - Cell highlighted by a hint { x, y, kind }
+ * @param {Float32Array} [props.heatmap] - Mine probability of every cell, shown as an overlay when given
+ * @param {Object} [props.playerColors] - Color of each player by peerId, flags are shown in their owner's color
+ * @param {Array<string|null>} [props.claims] - peerId of the player who claimed each cell, tinted in their color
  * @returns {JSX.Element|null} Rendered game board or null if board is not initialized
  */
-const Board = ({ board, onCellClick, onCellRightClick, gameStatus }) => {
+const Board = ({ board, onCellClick, onCellRightClick, onCellChord, gameStatus, hintCell, heatmap, playerColors, claims }) => {
+    // Cell whose wrapped neighbours are highlighted
+    const [wrapSource, setWrapSource] = useState(null);
+
     // Return null if board is not yet initialized
     if (!board) return null;
 
+    const getStatus = ({ x, y }) => board.status[y * board.width + x];
+    const wrappedByRow = getWrappedNeighboursByRow(board, wrapSource);
+
+    /**
+     * Tracks the hovered cell on boards that wrap around.
+     * Only cells with neighbours across an edge are kept, so moving through
+     * the middle of the board doesn't render it again.
+     * 
+     * @param {React.MouseEvent} e - Mouse over event object
+     */
+    const handleMouseOver = (e) => {
+        if (!board.wrap) return;
+        const target = getEventCell(e);
+        if (!target) return;
+        const index = toIndex(board, target.x, target.y);
+        const isNearEdge = getNeighbours(board, index).some(n => isWrappedNeighbour(board, index, n));
+        setWrapSource(isNearEdge ? index : null);
+    };
+
+    /**
+     * Handles left clicks, ignoring flagged and revealed cells
+     * 
+     * @param {React.MouseEvent} e - Click event object
+     */
+    const handleClick = (e) => {
+        const target = getEventCell(e);
+        if (!target) return;
+        const status = getStatus(target);
+        if (status === CELL_STATUS_CODE.FLAGGED || status === CELL_STATUS_CODE.REVEALED) return;
+        onCellClick(target.x, target.y);
+    };
+
+    /**
+     * Handles right clicks; revealed cells can't be flagged
+     * 
+     * @param {React.MouseEvent} e - Context menu event object
+     */
+    const handleContextMenu = (e) => {
+        const target = getEventCell(e);
+        if (!target) return;
+        if (getStatus(target) === CELL_STATUS_CODE.REVEALED) {
+            e.preventDefault();
+            return;
+        }
+        onCellRightClick(e, target.x, target.y);
+    };
+
+    /**
+     * Detects chording on revealed cells: a middle click, or pressing
+     * the left and right buttons together
+     * 
+     * @param {React.MouseEvent} e - Mouse down event object
+     */
+    const handleMouseDown = (e) => {
+        const target = getEventCell(e);
+        if (!target || getStatus(target) !== CELL_STATUS_CODE.REVEALED) return;
+
+        const isMiddleClick = e.button === 1;
+        const isBothButtons = (e.buttons & 3) === 3;
+        if (isMiddleClick || isBothButtons) {
+            // Prevents middle-click autoscroll
+            e.preventDefault();
+            onCellChord(target.x, target.y);
+        }
+    };
+
     return (
-        <div className="board">
-            {/* Iterate through each row of the board */}
-            {board.map((row, y) => (
-                <div key={y} className="board-row">
-                    {/* Render individual cells for each position in the row */}
-                    {row.map((cell, x) => (
-                        <Cell
-                            key={`${x}-${y}`}
-                            cell={cell}
-                            onClick={() => onCellClick(x, y)}
-                            onRightClick={(e) => onCellRightClick(e, x, y)}
-                            gameStatus={gameStatus}
-                        />
-                    ))}
-                </div>
+        <div
+            className={`board ${board.topology === BOARD_TOPOLOGY.HEX ? 'hex' : ''}`}
+            onClick={handleClick}
+            onContextMenu={handleContextMenu}
+            onMouseDown={handleMouseDown}
+            onMouseOver={handleMouseOver}
+            onMouseLeave={() => setWrapSource(null)}
+        >
+            {Array.from({ length: board.height }, (_, y) => (
+                <BoardRow
+                    key={y}
+                    board={board}
+                    y={y}
+                    hint={hintCell?.y === y ? hintCell : null}
+                    wrapped={wrappedByRow.get(y) || null}
+                    heatmap={heatmap || null}
+                    playerColors={playerColors || null}
+                    claims={claims || null}
+                />
             ))}
         </div>
     );
 };
 
-export default Board;
\ No newline at end of file
+export default Board;
@@ -1,27 +1,69 @@
 import React from 'react';
-import { CELL_STATUS } from '../constants/gameTypes';
+import { CELL_STATUS, NEIGHBOURHOOD } from '../constants/gameTypes';
 import './Cell.css';
 
+/**
+ * Badges shown on revealed numbers when they count a non-standard neighbourhood
+ */
+const NEIGHBOURHOOD_BADGES = {
+    [NEIGHBOURHOOD.KNIGHT]: { symbol: '♞', title: "Counts cells a knight's move away" },
+    [NEIGHBOURHOOD.RADIUS_2]: { symbol: '◎', title: 'Counts cells up to 2 cells away' },
+    [NEIGHBOURHOOD.ORTHOGONAL]: { symbol: '✚', title: 'Counts the 4 cells sharing an edge' }
+};
+
 /**
  * Cell Component - Represents a single cell in the Minesweeper game board
  * 
+ * Mouse interactions are handled by the Board, which finds the cell
+ * through its data-x and data-y attributes.
+ * 
  * @component
  * @param {Object} props - Component properties
  * @param {Object} props.cell - Cell data containing status, mine and adjacent mine information
- * @param {Function} props.onClick - Handler for left-click cell interactions
- * @param {Function} props.onRightClick - Handler for right-click cell interactions (flagging)
- * @param {string} props.gameStatus - Current game status ('playing', 'won', or 'lost')
- * @returns {JSX.Element} A button element representing the cell
+ * @param {number} props.x - X coordinate of the cell
+ * @param {number} props.y - Y coordinate of the cell
+ * @param {string|null} props.hint - 'safe' or 'mine' when the cell is highlighted by a hint
+ * @param {boolean} props.wrapped - Whether the cell neighbours the hovered cell across a board edge
+ * @param {string} props.neighbourhood - NEIGHBOURHOOD rule of the board, shown as a badge on numbers
+ * @param {number} props.probability - Mine probability shown by the heatmap overlay, -1 when not shown
+ * @param {string} [props.flagColor] - Color of the player who placed the flag of the cell
+ * @param {string} [props.claimColor] - Color of the player who claimed the cell, in territory games
+ * @returns {JSX.Element} A button element representing the cell, or an empty space for void cells
  */
-const Cell = ({ cell, onClick, onRightClick, gameStatus }) => {
+const Cell = ({ cell, x, y, hint, wrapped, neighbourhood, probability, flagColor, claimColor }) => {
+    // Void cells are not part of the board, they only keep the other cells in place
+    if (cell.isVoid) {
+        return <div className="cell void" data-x={x} data-y={y} />;
+    }
+
+    // The heatmap only colours cells that are still hidden or marked as unsure
+    const showProbability = probability >= 0 &&
+        (cell.status === CELL_STATUS.HIDDEN || cell.status === CELL_STATUS.QUESTION);
+    // Hue goes from green (safe) to red (certain mine)
+    const heatStyle = showProbability
+        ? { backgroundColor: `hsl(${Math.round(120 * (1 - probability))}, 70%, 65%)` }
+        : undefined;
+    // Claimed cells are tinted with a translucent layer of their owner's color over the usual background
+    const claimStyle = claimColor && cell.status === CELL_STATUS.REVEALED
+        ? { backgroundImage: `linear-gradient(${claimColor}40, ${claimColor}40)` }
+        : undefined;
+
     /**
      * Determines the content to display in the cell based on its current state
      * 
-     * @returns {(JSX.Element|string|number)} Cell content - flag icon, bomb icon, adjacent mine count, or empty string
+     * @returns {(JSX.Element|string|number)} Cell content - flag icon in its owner's color (with the dispute marker), question mark, bomb icon, adjacent mine count (with the neighbourhood badge), or empty string
      */
     const getCellContent = () => {
         if (cell.status === CELL_STATUS.FLAGGED) {
-            return <i className="fa-solid fa-flag" />;
+            return (
+                <>
+                    <i className="fa-solid fa-flag" style={flagColor ? { color: flagColor } : undefined} />
+                    {cell.disputed && <span className="dispute-marker" title="Another player disputes this flag">!</span>}
+                </>
+            );
+        }
+        if (cell.status === CELL_STATUS.QUESTION) {
+            return <i className="fa-solid fa-question" />;
         }
         if (cell.status === CELL_STATUS.HIDDEN) {
             return '';
@@ -29,6 +71,15 @@ const Cell = ({ cell, onClick, onRightClick, gameStatus }) => {
         if (cell.isMine) {
             return <i className="fa-solid fa-bomb" />;
         }
+        const badge = NEIGHBOURHOOD_BADGES[neighbourhood];
+        if (badge && cell.adjacentMines > 0) {
+            return (
+                <>
+                    {cell.adjacentMines}
+                    <span className="neighbourhood-badge" title={badge.title}>{badge.symbol}</span>
+                </>
+            );
+        }
         return cell.adjacentMines || '';
     };
 
@@ -48,27 +99,22 @@ const Cell = ({ cell, onClick, onRightClick, gameStatus }) => {
                 className += ` adjacent-${cell.adjacentMines}`;
             }
         }
-        return className;
-    };
-
-    /**
-     * Handles cell click events, preventing clicks on flagged cells
-     * 
-     * @param {React.MouseEvent} e - Click event object
-     */
-    const handleClick = (e) => {
-        if (cell.status === CELL_STATUS.FLAGGED) {
-            return;
+        if (hint) {
+            className += ` hint-${hint}`;
         }
-        onClick(e);
+        if (wrapped) {
+            className += ' wrap-neighbour';
+        }
+        return className;
     };
 
     return (
         <button
             className={getCellClass()}
-            onClick={handleClick}
-            onContextMenu={onRightClick}
-            disabled={cell.status === CELL_STATUS.REVEALED}
+            data-x={x}
+            data-y={y}
+            style={heatStyle || claimStyle}
+            title={showProbability ? `${Math.round(probability * 100)}% chance of a mine` : undefined}
         >
             {getCellContent()}
         </button>
@@ -0,0 +1,47 @@
+import React from 'react';
+import './EliminationResults.css';
+
+/**
+ * EliminationResults Component - Order in which the players went out of an elimination game, shown on the end screen
+ * 
+ * Lists the players out, first out first, followed by the players who were still in at the end.
+ * 
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.eliminated - Players out { peerId }, first out first, with their name and color
+ * @param {Array<Object>} props.survivors - Players still in at the end { peerId }, with their name and color
+ * @param {string} props.peerId - ID of the local player, highlighted in the table
+ * @returns {JSX.Element} Results table
+ */
+const EliminationResults = ({ eliminated, survivors, peerId }) => {
+    const rows = [
+        ...eliminated.map((player, index) => ({ ...player, result: `Out #${index + 1}` })),
+        ...survivors.map(player => ({ ...player, result: 'Survived' }))
+    ];
+
+    return (
+        <div className="elimination-results">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Player</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(player => (
+                        <tr key={player.peerId} className={player.peerId === peerId ? 'current-player' : ''}>
+                            <td>
+                                {player.color && <span className="player-color" style={{ backgroundColor: player.color }} />}
+                                {player.name}
+                            </td>
+                            <td>{player.result}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default EliminationResults;
@@ -1,4 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import ShapeEditor from './ShapeEditor';
+import { BOARD_TOPOLOGY, BOARD_SHAPE, NEIGHBOURHOOD, GAME_MODE, FIRST_CLICK, TEAM } from '../constants/gameTypes';
+import { TEAM_COLORS } from '../constants/colors';
+import { getMaxNeighbours, getNeighbourhood } from '../utils/boardGeometry';
+import { countPlayableCells, createShapeMask, getShapeMask } from '../utils/boardShapes';
+import { isCompetitiveMode, getPlayerTeam, TEAM_SCORING, TERRITORY_SCORING, DEFAULT_TURN_SECONDS } from '../utils/minesweeperLogic';
+import { parseBoardFile, parseBoardText } from '../utils/boardFormats';
+import { parseReplay } from '../utils/gameReplay';
 import './GameConfig.css';
 
 /**
@@ -31,21 +39,156 @@ const PRESETS = {
 
 // Game board constraints
 const MIN_SIZE = 5;
-const MAX_SIZE = 50;
+const MAX_SIZE = 300;
 const MIN_BOMBS = 1;
 const MAX_BOMBS_PERCENTAGE = 0.35; // Maximum 35% of cells can be bombs
+const MAX_HINTS = 10;
+const DEFAULT_HINTS = 3;
+const MAX_LIVES = 5;
+const MIN_TURN_SECONDS = 5;
+const MAX_TURN_SECONDS = 120;
+
+/**
+ * Cell shapes available for the board
+ */
+const TOPOLOGIES = {
+    [BOARD_TOPOLOGY.SQUARE]: { name: 'Square' },
+    [BOARD_TOPOLOGY.HEX]: { name: 'Hexagonal' }
+};
+
+/**
+ * Outlines available for the board, custom shapes are painted by hand
+ */
+const SHAPES = {
+    [BOARD_SHAPE.RECTANGLE]: { name: 'Rectangle' },
+    [BOARD_SHAPE.CIRCLE]: { name: 'Circle' },
+    [BOARD_SHAPE.HEART]: { name: 'Heart' },
+    [BOARD_SHAPE.CROSS]: { name: 'Cross' },
+    [BOARD_SHAPE.CUSTOM]: { name: 'Custom' }
+};
+
+/**
+ * Neighbourhood rules available for square cells, deciding which cells a number counts
+ */
+const NEIGHBOURHOODS = {
+    [NEIGHBOURHOOD.STANDARD]: { name: 'Standard', description: 'Numbers count the 8 surrounding cells' },
+    [NEIGHBOURHOOD.KNIGHT]: { name: 'Knight', description: "Numbers count the 8 cells a chess knight's move away" },
+    [NEIGHBOURHOOD.RADIUS_2]: { name: 'Radius 2', description: 'Numbers count the 24 cells of the surrounding 5x5 square' },
+    [NEIGHBOURHOOD.ORTHOGONAL]: { name: 'Orthogonal', description: 'Numbers count the 4 cells sharing an edge' }
+};
+
+// Signed points of a scoring rule, e.g. "+2" or "-10"
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+
+/**
+ * How players play together
+ */
+const GAME_MODES = {
+    [GAME_MODE.COOPERATIVE]: { name: 'Cooperative', description: 'Everyone clears the same board together' },
+    [GAME_MODE.RACE]: { name: 'Race', description: 'Everyone clears their own copy of the same board, the fastest wins' },
+    [GAME_MODE.TEAMS]: { name: 'Teams', description: 'Two teams clear the same board, scoring points for what they reveal and flag' },
+    [GAME_MODE.TURNS]: { name: 'Turns', description: 'Players take turns on the same board in the order they joined, each turn ends with a reveal' },
+    [GAME_MODE.TERRITORY]: {
+        name: 'Territory',
+        description: `Everyone claims the cells they reveal on the same board: ${formatPoints(TERRITORY_SCORING.CLAIMED_CELL)} per cell, ` +
+            `${formatPoints(TERRITORY_SCORING.MINE_HIT)} per mine hit`
+    },
+    [GAME_MODE.ELIMINATION]: {
+        name: 'Elimination',
+        description: 'Everyone clears the same board, a player who hits a mine is out and watches the others play on'
+    }
+};
+
+// How team games are scored, shown under the teams
+const TEAM_SCORING_INFO = `${formatPoints(TEAM_SCORING.REVEALED_CELL)} per cell revealed, ` +
+    `${formatPoints(TEAM_SCORING.CORRECT_FLAG)} per correct flag, ${formatPoints(TEAM_SCORING.WRONG_FLAG)} per wrong flag, ` +
+    `${formatPoints(TEAM_SCORING.MINE_HIT)} per mine hit`;
+
+/**
+ * Splits players into two teams of even size, alternating in lobby order.
+ * 
+ * @param {Array<Object>} players - Players in the lobby, with their peerId
+ * @returns {Object} TEAM of each player by peerId
+ */
+const splitTeams = (players) => {
+    const teams = {};
+    players.forEach((player, index) => {
+        teams[player.peerId] = index % 2 === 0 ? TEAM.RED : TEAM.BLUE;
+    });
+    return teams;
+};
+
+/**
+ * Orders players by the time they joined, the order they take turns in.
+ * Players whose join time isn't known yet come last.
+ * 
+ * @param {Array<Object>} players - Players in the lobby, with their peerId and when they joined
+ * @returns {Array<Object>} Players, first to join first
+ */
+const sortByJoinTime = (players) => [...players].sort((a, b) =>
+    (a.joinedAt ?? Infinity) - (b.joinedAt ?? Infinity) || a.peerId.localeCompare(b.peerId)
+);
+
+/**
+ * What the first click can be guaranteed to reveal
+ */
+const FIRST_CLICK_RULES = {
+    [FIRST_CLICK.OPENING]: { name: 'Opening', description: 'The first click always opens an area with no bombs around it' },
+    [FIRST_CLICK.SAFE]: { name: 'Safe cell', description: 'The first click is never a bomb, but may show a number' },
+    [FIRST_CLICK.NONE]: { name: 'No protection', description: 'The first click can hit a bomb' }
+};
+
+/**
+ * Calculates the maximum number of bombs a board can hold.
+ * Leaves room for the first click and its neighbours, the largest area a first-click rule keeps free of bombs.
+ * 
+ * @param {number} cells - Number of playable cells of the board, void cells aside
+ * @param {Object} layout - Cell shape options (topology and neighbourhood)
+ * @returns {number} Maximum allowed bombs
+ */
+const getMaxBombs = (cells, layout) => {
+    const safeZone = getMaxNeighbours(layout) + 1;
+    return Math.max(0, Math.min(
+        Math.floor(cells * MAX_BOMBS_PERCENTAGE),
+        cells - safeZone
+    ));
+};
+
+/**
+ * Checks that an imported board can be played with the current cell options.
+ * 
+ * @param {Object} blueprint - Imported board blueprint
+ * @param {Object} config - Current configuration
+ * @throws {Error} If the board can't be played
+ */
+const validateImportedBoard = (blueprint, config) => {
+    const { width, height, mines, mask } = blueprint;
+    if (width < MIN_SIZE || width > MAX_SIZE || height < MIN_SIZE || height > MAX_SIZE) {
+        throw new Error(`Board size must be between ${MIN_SIZE} and ${MAX_SIZE}, this one is ${width}x${height}`);
+    }
+    const cells = countPlayableCells(mask, width, height);
+    if (mines.length < MIN_BOMBS || mines.length >= cells) {
+        throw new Error(`The board has ${mines.length} bombs, it needs between ${MIN_BOMBS} and ${cells - 1}`);
+    }
+    if (config.wrap && config.topology === BOARD_TOPOLOGY.HEX && height % 2 !== 0) {
+        throw new Error('Hexagonal boards need an even height to wrap edges');
+    }
+};
 
 /**
  * GameConfig Component - Provides configuration interface for Minesweeper game settings
  * 
  * @component
  * @param {Object} props - Component properties
- * @param {Function} props.onStartGame - Callback triggered when game starts with final configuration
+ * @param {Function} props.onStartGame - Callback triggered when game starts with final configuration,
+ *                                       and the imported board blueprint when starting from an imported board
  * @param {Function} props.onConfigChange - Callback for notifying configuration changes to peers
  * @param {Object} props.initialConfig - Initial configuration received from peers
+ * @param {Function} props.onWatchReplay - Callback to open a loaded replay in the viewer
+ * @param {Array<Object>} props.players - Players in the lobby { peerId, name, color, joinedAt }, the local player first
  * @returns {JSX.Element} Game configuration form interface
  */
-const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
+const GameConfig = ({ onStartGame, onConfigChange, initialConfig, onWatchReplay, players }) => {
     // State for tracking selected preset and configuration values
     const [preset, setPreset] = useState('beginner');
     const [config, setConfig] = useState({
@@ -57,9 +200,28 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
             enabled: true,
             minutes: 5,
             seconds: 0
-        }
+        },
+        noGuess: false,
+        firstClick: FIRST_CLICK.OPENING,
+        hints: DEFAULT_HINTS,
+        lives: 1,
+        questionMarks: false,
+        ownedFlags: false,
+        topology: BOARD_TOPOLOGY.SQUARE,
+        neighbourhood: NEIGHBOURHOOD.STANDARD,
+        wrap: false,
+        shape: BOARD_SHAPE.RECTANGLE,
+        mask: null,
+        mode: GAME_MODE.COOPERATIVE,
+        teams: {},
+        turnSeconds: DEFAULT_TURN_SECONDS,
+        heatmap: false
     });
     const [errors, setErrors] = useState({});
+    const [importText, setImportText] = useState('');
+    const [importedBoard, setImportedBoard] = useState(null);
+    const [importError, setImportError] = useState('');
+    const [replayError, setReplayError] = useState('');
     const [inputValues, setInputValues] = useState({
         width: PRESETS.beginner.width.toString(),
         height: PRESETS.beginner.height.toString(),
@@ -115,13 +277,42 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
         }
 
         // Only validate bombs if there are no size errors
-        if (newConfig.bombs !== '' && !errors.width && !errors.height) {
-            const maxBombs = Math.floor(width * height * MAX_BOMBS_PERCENTAGE);
-            if (isNaN(bombs) || bombs < MIN_BOMBS || bombs > maxBombs) {
+        if (!errors.width && !errors.height) {
+            const mask = getShapeMask(newConfig.shape, width, height, newConfig.mask);
+            const maxBombs = getMaxBombs(countPlayableCells(mask, width, height), newConfig);
+            if (maxBombs < MIN_BOMBS) {
+                errors.shape = 'The shape leaves too few cells to play';
+            } else if (newConfig.bombs !== '' && (isNaN(bombs) || bombs < MIN_BOMBS || bombs > maxBombs)) {
                 errors.bombs = `Bombs must be between ${MIN_BOMBS} and ${maxBombs}`;
             }
         }
 
+        // Hexagonal rows alternate their offset, so they only line up across the seam with an even height
+        if (newConfig.wrap && newConfig.topology === BOARD_TOPOLOGY.HEX && !errors.height && height % 2 !== 0) {
+            errors.wrap = 'Hexagonal boards need an even height to wrap edges';
+        }
+
+        if (newConfig.hints !== undefined && newConfig.hints !== '') {
+            const hints = parseInt(newConfig.hints);
+            if (isNaN(hints) || hints < 0 || hints > MAX_HINTS) {
+                errors.hints = `Hints must be between 0 and ${MAX_HINTS}`;
+            }
+        }
+
+        if (newConfig.lives !== undefined && newConfig.lives !== '') {
+            const lives = parseInt(newConfig.lives);
+            if (isNaN(lives) || lives < 1 || lives > MAX_LIVES) {
+                errors.lives = `Lives must be between 1 and ${MAX_LIVES}`;
+            }
+        }
+
+        if (newConfig.turnSeconds !== undefined && newConfig.turnSeconds !== '') {
+            const turnSeconds = parseInt(newConfig.turnSeconds);
+            if (isNaN(turnSeconds) || turnSeconds < MIN_TURN_SECONDS || turnSeconds > MAX_TURN_SECONDS) {
+                errors.turnSeconds = `Turns must last between ${MIN_TURN_SECONDS} and ${MAX_TURN_SECONDS} seconds`;
+            }
+        }
+
         if (newConfig.timer.enabled) {
             if (newConfig.timer.minutes !== '') {
                 if (isNaN(minutes) || minutes < 0 || minutes > 99) {
@@ -155,12 +346,14 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
     /**
      * Handles preset selection changes
      * Updates configuration and input values to match selected preset
+     * Options that presets don't define (e.g. no-guess mode) are kept as they are
      * 
      * @param {string} presetKey - Key of selected preset
      */
     const handlePresetChange = (presetKey) => {
         const newPreset = presetKey === 'custom' ? config : PRESETS[presetKey];
         const newConfig = {
+            ...config,
             ...newPreset,
             selectedPreset: presetKey
         };
@@ -225,6 +418,70 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
         onConfigChange?.(newConfig);
     };
 
+    /**
+     * Handles changes to gameplay options that are independent from the board presets
+     * Unlike handleConfigChange, it keeps the selected preset
+     * 
+     * @param {string} field - Name of the option to update
+     * @param {*} value - New value for the option
+     */
+    const handleOptionChange = (field, value) => {
+        const newConfig = {
+            ...config,
+            [field]: value
+        };
+
+        setConfig(newConfig);
+        onConfigChange?.(newConfig);
+    };
+
+    /**
+     * Handles game mode changes. Switching to team games splits the lobby into teams
+     * 
+     * @param {string} newMode - Selected GAME_MODE
+     */
+    const handleModeChange = (newMode) => {
+        const newConfig = {
+            ...config,
+            mode: newMode,
+            teams: newMode === GAME_MODE.TEAMS ? splitTeams(players) : config.teams
+        };
+
+        setConfig(newConfig);
+        onConfigChange?.(newConfig);
+    };
+
+    /**
+     * Moves a player to a team
+     * 
+     * @param {string} peerId - ID of the player
+     * @param {string} team - TEAM the player joins
+     */
+    const handleTeamChange = (peerId, team) => {
+        handleOptionChange('teams', { ...config.teams, [peerId]: team });
+    };
+
+    /**
+     * Handles board shape changes
+     * Custom shapes start from the shape shown so far, so a predefined shape can be touched up
+     * 
+     * @param {string} newShape - Selected BOARD_SHAPE
+     */
+    const handleShapeChange = (newShape) => {
+        const width = parseInt(config.width) || MIN_SIZE;
+        const height = parseInt(config.height) || MIN_SIZE;
+        const newConfig = {
+            ...config,
+            shape: newShape,
+            mask: newShape === BOARD_SHAPE.CUSTOM
+                ? getShapeMask(config.shape, width, height, config.mask) || createShapeMask(BOARD_SHAPE.RECTANGLE, width, height)
+                : config.mask
+        };
+
+        setConfig(newConfig);
+        onConfigChange?.(newConfig);
+    };
+
     /**
      * Checks if configuration has all required values set
      * 
@@ -246,36 +503,157 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
     };
 
     /**
-     * Handles form submission
-     * Applies default values for any missing fields before starting game
+     * Builds the configuration to start a game with
+     * Applies default values for any missing fields
      * 
-     * @param {Event} e - Form submission event
+     * @returns {Object} Final game configuration
      */
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        
-        const finalConfig = {
+    const getFinalConfig = () => {
+        const width = parseInt(config.width) || MIN_SIZE;
+        const height = parseInt(config.height) || MIN_SIZE;
+        return {
             ...config,
-            width: parseInt(config.width) || MIN_SIZE,
-            height: parseInt(config.height) || MIN_SIZE,
+            width,
+            height,
+            // Peers build their boards from the mask, whatever the shape
+            mask: getShapeMask(config.shape, width, height, config.mask),
             bombs: parseInt(config.bombs) || MIN_BOMBS,
+            hints: parseInt(config.hints) || 0,
+            lives: parseInt(config.lives) || 1,
+            turnSeconds: parseInt(config.turnSeconds) || DEFAULT_TURN_SECONDS,
+            turnOrder: config.mode === GAME_MODE.TURNS ? sortByJoinTime(players).map(player => player.peerId) : [],
             timer: {
                 ...config.timer,
                 minutes: parseInt(config.timer.minutes) || 0,
                 seconds: parseInt(config.timer.seconds) || 0
             }
         };
+    };
+
+    /**
+     * Handles form submission
+     * 
+     * @param {Event} e - Form submission event
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onStartGame(getFinalConfig());
+    };
+
+    /**
+     * Parses and validates a board to import, keeping it until the game is started.
+     * Files that can't be read or parsed show the import error.
+     * 
+     * @param {Function} parse - Function returning the parsed board blueprint, or a promise of it
+     */
+    const loadImportedBoard = async (parse) => {
+        try {
+            const blueprint = await parse();
+            validateImportedBoard(blueprint, config);
+            setImportedBoard(blueprint);
+            setImportError('');
+        } catch (error) {
+            setImportedBoard(null);
+            setImportError(error.message);
+        }
+    };
 
-        onStartGame(finalConfig);
+    /**
+     * Handles boards pasted in the text format
+     * 
+     * @param {string} text - Pasted board
+     */
+    const handleImportTextChange = (text) => {
+        setImportText(text);
+        if (text.trim() === '') {
+            setImportedBoard(null);
+            setImportError('');
+            return;
+        }
+        loadImportedBoard(() => parseBoardText(text));
+    };
+
+    /**
+     * Handles uploaded board files, in the text or MBF format
+     * 
+     * @param {Event} e - File input change event
+     */
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setImportText('');
+        await loadImportedBoard(async () => parseBoardFile(file.name, await file.arrayBuffer()));
+    };
+
+    /**
+     * Starts a game on the imported board
+     * Board size and bombs come from the board, the other options from the current configuration
+     */
+    const handleImportStart = () => {
+        if (!importedBoard) return;
+
+        onStartGame({
+            ...getFinalConfig(),
+            selectedPreset: 'custom',
+            width: importedBoard.width,
+            height: importedBoard.height,
+            bombs: importedBoard.mines.length,
+            shape: importedBoard.mask ? BOARD_SHAPE.CUSTOM : BOARD_SHAPE.RECTANGLE,
+            mask: importedBoard.mask || null,
+            // The layout is fixed, it was not generated to be solvable without guessing
+            noGuess: false
+        }, importedBoard);
+    };
+
+    /**
+     * Opens an uploaded replay file in the viewer
+     * 
+     * @param {Event} e - File input change event
+     */
+    const handleReplayFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const replay = parseReplay(await file.text());
+            setReplayError('');
+            onWatchReplay(replay);
+        } catch (error) {
+            setReplayError(error.message);
+        }
     };
 
     // Calculate maximum allowed bombs based on current board dimensions
     const width = parseInt(config.width) || MIN_SIZE;
     const height = parseInt(config.height) || MIN_SIZE;
-    const maxBombs = Math.min(
-        Math.floor(width * height * MAX_BOMBS_PERCENTAGE),
-        width * height - 9
-    );
+    const topology = TOPOLOGIES[config.topology] ? config.topology : BOARD_TOPOLOGY.SQUARE;
+    const neighbourhood = getNeighbourhood({ topology, neighbourhood: config.neighbourhood });
+    const mode = GAME_MODES[config.mode] ? config.mode : GAME_MODE.COOPERATIVE;
+    const isRace = mode === GAME_MODE.RACE;
+    // Racers each play their own board, in other modes lives are shared by everyone on it
+    const hasOwnBoard = isRace;
+    // Elimination games have no lives, a mine hit puts the player out
+    const isElimination = mode === GAME_MODE.ELIMINATION;
+    let livesInfo = hasOwnBoard
+        ? 'Every mine hit costs a life, players are out when none are left'
+        : 'Every mine hit costs a shared life, the game ends when none are left';
+    if (isElimination) {
+        livesInfo = 'Not used in elimination games, a mine hit puts the player out';
+    }
+    const firstClick = config.noGuess || isRace ? FIRST_CLICK.OPENING : config.firstClick || FIRST_CLICK.OPENING;
+    let firstClickInfo = FIRST_CLICK_RULES[firstClick].description;
+    if (isRace) {
+        firstClickInfo = 'Races start from an opening revealed for every player';
+    } else if (config.noGuess) {
+        firstClickInfo = 'No guessing games always start with an opening';
+    }
+    const shape = SHAPES[config.shape] ? config.shape : BOARD_SHAPE.RECTANGLE;
+    const mask = getShapeMask(shape, width, height, config.mask);
+    const playableCells = countPlayableCells(mask, width, height);
+    const maxBombs = getMaxBombs(playableCells, { topology, neighbourhood });
 
     return (
         <div className="game-config">
@@ -303,6 +681,85 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
             </div>
 
             <form onSubmit={handleSubmit} className="config-form">
+                <div className="config-group">
+                    <h3>Game mode</h3>
+                    <div className="preset-buttons">
+                        {Object.entries(GAME_MODES).map(([key, value]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`preset-button ${mode === key ? 'selected' : ''}`}
+                                onClick={() => handleModeChange(key)}
+                            >
+                                {value.name}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="info-text">
+                        {GAME_MODES[mode].description}
+                    </div>
+                </div>
+
+                {mode === GAME_MODE.TEAMS && (
+                    <div className="config-group">
+                        <h3>Teams</h3>
+                        <ul className="team-list">
+                            {players.map(player => {
+                                const team = getPlayerTeam(config.teams || {}, player.peerId);
+                                const otherTeam = team === TEAM.RED ? TEAM.BLUE : TEAM.RED;
+                                return (
+                                    <li key={player.peerId}>
+                                        <span className="player-color" style={{ backgroundColor: player.color }} />
+                                        {player.name}
+                                        <button
+                                            type="button"
+                                            className="team-button"
+                                            style={{ backgroundColor: TEAM_COLORS[team].value }}
+                                            onClick={() => handleTeamChange(player.peerId, otherTeam)}
+                                            title={`Move to the ${TEAM_COLORS[otherTeam].name} team`}
+                                        >
+                                            {TEAM_COLORS[team].name}
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                        <div className="preset-buttons">
+                            <button
+                                type="button"
+                                className="preset-button"
+                                onClick={() => handleOptionChange('teams', splitTeams(players))}
+                            >
+                                🔀 Split evenly
+                            </button>
+                        </div>
+                        <div className="info-text">
+                            Points: {TEAM_SCORING_INFO}
+                        </div>
+                    </div>
+                )}
+
+                {mode === GAME_MODE.TURNS && (
+                    <div className="config-group">
+                        <h3>Turns</h3>
+                        <div className="input-row">
+                            <label>
+                                Seconds per turn:
+                                <input
+                                    type="number"
+                                    value={config.turnSeconds ?? ''}
+                                    onChange={(e) => handleOptionChange('turnSeconds', e.target.value)}
+                                    placeholder={DEFAULT_TURN_SECONDS.toString()}
+                                />
+                            </label>
+                        </div>
+                        <div className="info-text">
+                            Order: {sortByJoinTime(players).map(player => player.name).join(' → ')}. The turn passes when it runs out
+                        </div>
+                        {errors.turnSeconds && <div className="error">{errors.turnSeconds}</div>}
+                    </div>
+                )}
+
                 <div className="config-group">
                     <h3>Board size</h3>
                     <div className="input-row">
@@ -333,6 +790,89 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
                     )}
                 </div>
 
+                <div className="config-group">
+                    <h3>Cells</h3>
+                    <div className="preset-buttons">
+                        {Object.entries(TOPOLOGIES).map(([key, value]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`preset-button ${topology === key ? 'selected' : ''}`}
+                                onClick={() => handleOptionChange('topology', key)}
+                            >
+                                {value.name}
+                            </button>
+                        ))}
+                    </div>
+                    {topology === BOARD_TOPOLOGY.SQUARE && (
+                        <>
+                            <div className="preset-buttons">
+                                {Object.entries(NEIGHBOURHOODS).map(([key, value]) => (
+                                    <button
+                                        key={key}
+                                        type="button"
+                                        className={`preset-button ${neighbourhood === key ? 'selected' : ''}`}
+                                        onClick={() => handleOptionChange('neighbourhood', key)}
+                                    >
+                                        {value.name}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="info-text">
+                                {NEIGHBOURHOODS[neighbourhood].description}
+                            </div>
+                        </>
+                    )}
+                    <div className="input-row">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(config.wrap)}
+                                onChange={(e) => handleOptionChange('wrap', e.target.checked)}
+                            />
+                            Wrap edges
+                        </label>
+                    </div>
+                    {config.wrap && (
+                        <div className="info-text">
+                            Cells on opposite edges are neighbours, there are no borders or corners
+                        </div>
+                    )}
+                    {errors.wrap && <div className="error">{errors.wrap}</div>}
+                </div>
+
+                <div className="config-group">
+                    <h3>Board shape</h3>
+                    <div className="preset-buttons">
+                        {Object.entries(SHAPES).map(([key, value]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`preset-button ${shape === key ? 'selected' : ''}`}
+                                onClick={() => handleShapeChange(key)}
+                            >
+                                {value.name}
+                            </button>
+                        ))}
+                    </div>
+                    {mask && !errors.width && !errors.height && (
+                        <>
+                            <ShapeEditor
+                                width={width}
+                                height={height}
+                                mask={mask}
+                                editable={shape === BOARD_SHAPE.CUSTOM}
+                                onChange={(painted) => handleOptionChange('mask', painted)}
+                            />
+                            <div className="info-text">
+                                {shape === BOARD_SHAPE.CUSTOM && 'Click or drag to remove cells and to add them back. '}
+                                {playableCells} of {width * height} cells are played
+                            </div>
+                        </>
+                    )}
+                    {errors.shape && <div className="error">{errors.shape}</div>}
+                </div>
+
                 <div className="config-group">
                     <h3>Bombs</h3>
                     <div className="input-row">
@@ -352,6 +892,129 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
                         </div>
                     )}
                     {errors.bombs && <div className="error">{errors.bombs}</div>}
+                    <div className="input-row">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(config.noGuess)}
+                                onChange={(e) => handleOptionChange('noGuess', e.target.checked)}
+                            />
+                            No guessing
+                        </label>
+                    </div>
+                    {config.noGuess && (
+                        <div className="info-text">
+                            Boards can always be cleared by logic from the first click
+                        </div>
+                    )}
+                    <div className="preset-buttons">
+                        {Object.entries(FIRST_CLICK_RULES).map(([key, value]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                className={`preset-button ${firstClick === key ? 'selected' : ''}`}
+                                onClick={() => handleOptionChange('firstClick', key)}
+                                disabled={Boolean(config.noGuess) || isRace}
+                            >
+                                {value.name}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="info-text">
+                        {firstClickInfo}
+                    </div>
+                </div>
+
+                <div className="config-group">
+                    <h3>Marks</h3>
+                    <div className="input-row">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(config.questionMarks)}
+                                onChange={(e) => handleOptionChange('questionMarks', e.target.checked)}
+                            />
+                            Question marks
+                        </label>
+                    </div>
+                    {config.questionMarks && (
+                        <div className="info-text">
+                            Right-click cycles flag → ? → hidden
+                        </div>
+                    )}
+                    <div className="input-row">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(config.ownedFlags)}
+                                onChange={(e) => handleOptionChange('ownedFlags', e.target.checked)}
+                            />
+                            Owned flags
+                        </label>
+                    </div>
+                    <div className="info-text">
+                        {config.ownedFlags
+                            ? "Only the player who placed a flag can remove it, right-clicking someone else's flag disputes it"
+                            : 'Flags show the color of the player who placed them, anyone can remove them'}
+                    </div>
+                </div>
+
+                <div className="config-group">
+                    <h3>Assistance</h3>
+                    <div className="input-row">
+                        <label>
+                            Hints per game:
+                            <input
+                                type="number"
+                                value={isCompetitiveMode(mode) ? '' : config.hints ?? ''}
+                                onChange={(e) => handleOptionChange('hints', e.target.value)}
+                                placeholder="0"
+                                disabled={isCompetitiveMode(mode)}
+                            />
+                        </label>
+                    </div>
+                    <div className="info-text">
+                        {isCompetitiveMode(mode)
+                            ? 'Not available in competitive games'
+                            : 'Shared by everyone on the board, 0 disables hints'}
+                    </div>
+                    {errors.hints && <div className="error">{errors.hints}</div>}
+                    <div className="input-row">
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(config.heatmap) && !isCompetitiveMode(mode)}
+                                disabled={isCompetitiveMode(mode)}
+                                onChange={(e) => handleOptionChange('heatmap', e.target.checked)}
+                            />
+                            Mine probability heatmap
+                        </label>
+                    </div>
+                    <div className="info-text">
+                        {isCompetitiveMode(mode)
+                            ? 'Not available in competitive games'
+                            : 'Players can colour hidden cells by their chance of holding a mine'}
+                    </div>
+                </div>
+
+                <div className="config-group">
+                    <h3>Lives</h3>
+                    <div className="input-row">
+                        <label>
+                            {hasOwnBoard ? 'Lives per player:' : 'Shared lives:'}
+                            <input
+                                type="number"
+                                value={config.lives ?? ''}
+                                onChange={(e) => handleOptionChange('lives', e.target.value)}
+                                placeholder="1"
+                                disabled={isElimination}
+                            />
+                        </label>
+                    </div>
+                    <div className="info-text">
+                        {livesInfo}
+                    </div>
+                    {errors.lives && <div className="error">{errors.lives}</div>}
                 </div>
 
                 <div className="config-group">
@@ -393,6 +1056,56 @@ const GameConfig = ({ onStartGame, onConfigChange, initialConfig }) => {
                     {errors.timer && <div className="error">{errors.timer}</div>}
                 </div>
 
+                <div className="config-group">
+                    <h3>Import board</h3>
+                    <textarea
+                        className="import-text"
+                        value={importText}
+                        onChange={(e) => handleImportTextChange(e.target.value)}
+                        placeholder="Paste a board, one line per row: . safe, * mine, o revealed, F/f flags, - void"
+                        rows={4}
+                    />
+                    <div className="input-row">
+                        <label className="file-label">
+                            Or load a file (.txt, .mbf):
+                            <input
+                                type="file"
+                                accept=".txt,.mbf"
+                                onChange={handleImportFile}
+                            />
+                        </label>
+                    </div>
+                    {importedBoard && (
+                        <div className="info-text">
+                            {importedBoard.width}x{importedBoard.height} board with {importedBoard.mines.length} bombs
+                        </div>
+                    )}
+                    {importError && <div className="error">{importError}</div>}
+                    <button
+                        type="button"
+                        className="import-button"
+                        onClick={handleImportStart}
+                        disabled={!importedBoard || Boolean(errors.timer || errors.hints || errors.lives || errors.turnSeconds)}
+                    >
+                        Start with imported board
+                    </button>
+                </div>
+
+                <div className="config-group">
+                    <h3>Watch a replay</h3>
+                    <div className="input-row">
+                        <label className="file-label">
+                            Load a replay file (.json):
+                            <input
+                                type="file"
+                                accept=".json"
+                                onChange={handleReplayFile}
+                            />
+                        </label>
+                    </div>
+                    {replayError && <div className="error">{replayError}</div>}
+                </div>
+
                 <button 
                     type="submit" 
                     className="start-button"
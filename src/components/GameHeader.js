@@ -1,6 +1,8 @@
 import React from 'react';
 import './GameHeader.css';
 import { formatTime } from '../utils/minesweeperLogic';
+import { TEAM } from '../constants/gameTypes';
+import { TEAM_COLORS } from '../constants/colors';
 
 /**
  * GameHeader Component - Displays game statistics and timer in the header section
@@ -8,6 +10,14 @@ import { formatTime } from '../utils/minesweeperLogic';
  * Renders a header bar containing:
  * - Mine counter showing placed flags vs total mines
  * - Game timer displaying elapsed time in MM:SS format
+ * - Lives left, when the team has more than one
+ * - Badge telling every player the board is guaranteed solvable without guessing
+ * - Hint button showing the hints the team has left
+ * - Undo button proposing to take back the last move, in cooperative games
+ * - Heatmap toggle, when the game allows the mine-probability overlay
+ * - Scoreboard of team games, the player's own team underlined
+ * - Whose turn it is in turn games and the seconds left in the turn, highlighted on the player's own turn
+ * - Badge telling a player out of an elimination game that they only watch
  *
  * @component
  * @param {Object} props - Component properties
@@ -16,14 +26,93 @@ import { formatTime } from '../utils/minesweeperLogic';
  * @param {number} props.totalMines - Total number of mines in the game
  * @param {Object} props.timer - Timer object containing game duration
  * @param {number} props.timer.currentSeconds - Current elapsed time in seconds
+ * @param {number} props.lives - Lives the team started with
+ * @param {number} props.livesLeft - Lives the team has left
+ * @param {boolean} props.noGuess - Whether the board was generated in no-guess mode
+ * @param {number} props.hintsLeft - Hints remaining in the shared budget
+ * @param {boolean} props.hintsEnabled - Whether the game allows hints at all
+ * @param {boolean} props.canHint - Whether a hint can be requested right now
+ * @param {Function} props.onHint - Handler for the hint button
+ * @param {boolean} props.undoEnabled - Whether the game allows undo votes
+ * @param {boolean} props.canUndo - Whether an undo can be proposed right now
+ * @param {Function} props.onUndo - Handler for the undo button
+ * @param {boolean} props.heatmapEnabled - Whether the game allows the heatmap overlay
+ * @param {boolean} props.showHeatmap - Whether the heatmap overlay is currently shown
+ * @param {Function} props.onToggleHeatmap - Handler for the heatmap toggle
+ * @param {Object|null} props.scores - Points of each team, null outside team games
+ * @param {string|null} props.team - TEAM of the local player, null outside team games
+ * @param {Object|null} props.turn - Current turn { name, isOwn, secondsLeft }, null outside turn games
+ * @param {boolean} props.isOut - Whether the local player is out of an elimination game and only watches
  * @returns {JSX.Element} Header bar with game statistics
  */
-const GameHeader = ({ gameStatus, flagsCount, totalMines, timer }) => {
+const GameHeader = ({ gameStatus, flagsCount, totalMines, timer, lives, livesLeft, noGuess, hintsLeft, hintsEnabled, canHint, onHint, undoEnabled, canUndo, onUndo, heatmapEnabled, showHeatmap, onToggleHeatmap, scores, team, turn, isOut }) => {
     return (
         <div className="game-header">
             <div className="mines-counter">
                 💣 {flagsCount}/{totalMines}
             </div>
+            {scores && (
+                <div className="team-scores" title="Points of each team">
+                    {Object.values(TEAM).map(key => (
+                        <span
+                            key={key}
+                            className={`team-score ${key === team ? 'own-team' : ''}`}
+                            style={{ color: TEAM_COLORS[key].value }}
+                        >
+                            {TEAM_COLORS[key].name} {scores[key]}
+                        </span>
+                    ))}
+                </div>
+            )}
+            {turn && (
+                <div className={`turn-indicator ${turn.isOwn ? 'own-turn' : ''}`} title="Player whose turn it is">
+                    🎯 {turn.isOwn ? 'Your turn' : `${turn.name}'s turn`} ({turn.secondsLeft}s)
+                </div>
+            )}
+            {isOut && (
+                <div className="out-badge" title="You hit a mine, the others play on">
+                    👻 Out, spectating
+                </div>
+            )}
+            {lives > 1 && (
+                <div className="lives-counter" title="Lives shared by the team">
+                    ❤️ {livesLeft}/{lives}
+                </div>
+            )}
+            {noGuess && (
+                <div className="no-guess-badge" title="This board can be cleared by logic alone">
+                    🧠 No guessing
+                </div>
+            )}
+            {hintsEnabled && (
+                <button
+                    className="hint-button"
+                    onClick={onHint}
+                    disabled={!canHint}
+                    title="Highlight a cell that can be deduced from the revealed numbers"
+                >
+                    💡 Hint ({hintsLeft})
+                </button>
+            )}
+            {undoEnabled && (
+                <button
+                    className="undo-button"
+                    onClick={onUndo}
+                    disabled={!canUndo}
+                    title="Ask the team to take back the last move"
+                >
+                    ↩️ Undo
+                </button>
+            )}
+            {heatmapEnabled && (
+                <button
+                    className={`heatmap-button ${showHeatmap ? 'active' : ''}`}
+                    onClick={onToggleHeatmap}
+                    title="Colour hidden cells by their chance of holding a mine"
+                >
+                    🌡️ Heatmap
+                </button>
+            )}
             <div className="timer">
                 ⏱️ {formatTime(timer.currentSeconds)}
             </div>
@@ -0,0 +1,78 @@
+import React from 'react';
+import './GameStats.css';
+import { formatTime } from '../utils/minesweeperLogic';
+
+/**
+ * Formats an efficiency ratio as a percentage.
+ * 
+ * @param {number} efficiency - 3BV solved per click
+ * @returns {string} Percentage such as "87%"
+ */
+const formatEfficiency = (efficiency) => `${Math.round(efficiency * 100)}%`;
+
+/**
+ * GameStats Component - Shows the statistics of a finished game on the end screen
+ * 
+ * Renders the board metrics (3BV, openings, islands) followed by a table with
+ * the clicks, 3BV solved, 3BV/s and click efficiency of the team and of each player,
+ * and what their actions did: safe cells revealed, flags placed, wrong flags and mines hit.
+ * Efficiency is the 3BV solved per click: 100% means no click was wasted.
+ * 
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.stats - Summary created with summarizeGameStats
+ * @param {Array<Object>} props.players - Per-player figures of the summary, with the player's name and color
+ * @returns {JSX.Element} Game statistics panel
+ */
+const GameStats = ({ stats, players }) => {
+    const rows = [
+        { key: 'team', name: 'Team', figures: stats.team, isTeam: true },
+        ...players.map(player => ({ key: player.peerId, name: player.name, color: player.color, figures: player }))
+    ];
+
+    return (
+        <div className="game-stats">
+            <div className="board-metrics">
+                <span><strong>3BV</strong> {stats.bbbv}</span>
+                <span><strong>Openings</strong> {stats.openings}</span>
+                <span><strong>Islands</strong> {stats.islands}</span>
+                <span><strong>Time</strong> {formatTime(Math.floor(stats.seconds))}</span>
+            </div>
+            <table className="stats-table">
+                <thead>
+                    <tr>
+                        <th>Player</th>
+                        <th>Clicks</th>
+                        <th>3BV</th>
+                        <th>3BV/s</th>
+                        <th>Efficiency</th>
+                        <th>Revealed</th>
+                        <th>Flags</th>
+                        <th>Wrong flags</th>
+                        <th>Mines hit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(({ key, name, color, figures, isTeam }) => (
+                        <tr key={key} className={isTeam ? 'team-row' : ''}>
+                            <td>
+                                {color && <span className="player-color" style={{ backgroundColor: color }} />}
+                                {name}
+                            </td>
+                            <td>{figures.clicks}</td>
+                            <td>{isTeam ? `${figures.solved}/${stats.bbbv}` : figures.solved}</td>
+                            <td>{figures.bbbvPerSecond.toFixed(2)}</td>
+                            <td>{formatEfficiency(figures.efficiency)}</td>
+                            <td>{figures.revealed}</td>
+                            <td>{figures.flags}</td>
+                            <td>{figures.wrongFlags}</td>
+                            <td>{figures.minesHit}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default GameStats;
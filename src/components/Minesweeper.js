@@ -1,279 +1,376 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import Board from './Board';
 import GameHeader from './GameHeader';
-import { CELL_STATUS, GAME_STATUS } from '../constants/gameTypes';
+import GameStats from './GameStats';
+import UndoVote from './UndoVote';
+import RaceStandings, { describeRacer } from './RaceStandings';
+import TerritoryResults from './TerritoryResults';
+import EliminationResults from './EliminationResults';
+import { CELL_STATUS, GAME_STATUS, TEAM } from '../constants/gameTypes';
+import { TEAM_COLORS } from '../constants/colors';
 import {
-    revealCell,
-    toggleFlag,
     countFlags,
-    checkWinCondition,
-    revealAllMines,
-    createBoardBlueprint,
-    applyBoardBlueprint,
-    createEmptyBoard,
-    placeMines,
-    createTimer,
-    updateTimer,
-    applyCellAction,
+    hasMinesPlaced,
+    getCell,
+    isCompetitiveMode,
+    getPlayerTeam,
+    getLeadingTeam,
     CELL_ACTION_TYPES
 } from '../utils/minesweeperLogic';
 import './Minesweeper.css';
 import CursorOverlay from './CursorOverlay';
+import { calculateMineProbabilities } from '../utils/minesweeperSolver';
+import { exportBoardAsMbf, exportBoardAsText } from '../utils/boardFormats';
+import { serializeReplay } from '../utils/gameReplay';
+import GameEngine, { GAME_NOTICES } from '../services/GameEngine';
+
+const NO_GUESS_FALLBACK_MESSAGE = 'No guess-free board was found in time, this one may need guessing';
+
+/**
+ * Makes the browser download a file.
+ * 
+ * @param {string} filename - Name of the downloaded file
+ * @param {string|Uint8Array} contents - File contents
+ * @param {string} type - MIME type of the file
+ */
+const downloadFile = (filename, contents, type) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Seconds the end screen stays up before returning to the lobby, long enough to read the statistics
+const END_SCREEN_SECONDS = 10;
+
+// How each undoable action is named in undo votes
+const ACTION_NAMES = {
+    [CELL_ACTION_TYPES.FIRST_REVEAL]: 'reveal',
+    [CELL_ACTION_TYPES.REVEAL]: 'reveal',
+    [CELL_ACTION_TYPES.FLAG]: 'flag',
+    [CELL_ACTION_TYPES.CHORD]: 'chord'
+};
 
 /**
- * Minesweeper Component - Main game component handling game logic and state
+ * Describes the result of a team game, e.g. "Red team wins 42 to 30"
+ * @param {Object} scores - Points of each team
+ * @returns {string} Result of the game
+ */
+const describeTeamResult = (scores) => {
+    const leader = getLeadingTeam(scores);
+    if (!leader) return `Draw at ${scores[TEAM.RED]} points each`;
+    const other = leader === TEAM.RED ? TEAM.BLUE : TEAM.RED;
+    return `${TEAM_COLORS[leader].name} team wins ${scores[leader]} to ${scores[other]}`;
+};
+
+/**
+ * Minesweeper Component - Main game component, a view over the GameEngine running the game
  *
- * Manages:
- * - Game board state and updates
- * - Game status (playing/won/lost)
- * - Timer functionality
- * - Multiplayer synchronization via cell-level actions
- * - Cursor tracking and display
- * - Board interaction (clicks, flags)
- * - Win/lose conditions
+ * The engine owns the board, game status, timer, lives, hints, undo votes, statistics
+ * and replay recording (see GameEngine). This component:
+ * - Renders the engine state and forwards board interaction (clicks, flags, chords) to it
+ * - Connects the engine to the network: broadcasts its moves and undo votes,
+ *   hands it the actions received from peers and syncs its board for new-peer joins
+ * - Posts the engine notices (wins, losses, lives, hints, undo votes, race ranking) in chat
+ * - Live standings of races, where every player clears their own copy of the board
+ * - Scoreboard of team games, where two teams score on the same board
+ * - Whose turn it is in turn games, where only the active player's clicks are played
+ * - Claimed cells and final results of territory games, where players score for the cells they reveal
+ * - Players out of elimination games, who only watch, and the order they went out in
+ * - Flags in the color of the player who placed them, marked when disputed
+ * - Cursor tracking and display, recorded in the replay
+ * - Mine-probability heatmap overlay, when the synced config allows it
+ * - End screen with statistics, replay download and board export
  *
  * @component
  * @param {Object} props - Component properties
  * @param {Object} props.config - Game configuration (width, height, bombs, timer settings)
+ * @param {number} props.seed - Shared game seed used to generate the mine layout
  * @param {Object} props.board - Network-synced board state (used for initial sync when joining mid-game)
+ * @param {Object} [props.turn] - Network-synced turn of a turn game (used for initial sync when joining mid-game)
  * @param {Function} props.onCellAction - Callback to broadcast cell actions to peers
+ * @param {Function} props.onUndoMessage - Callback to broadcast undo vote messages to peers
+ * @param {Function} props.onRaceProgress - Callback to broadcast the progress of the local player in a race
+ * @param {Function} props.onTurnState - Callback to broadcast the turns passed on by the local player
  * @param {Function} props.onSyncBoard - Callback to sync board to network storage (no broadcast)
- * @param {Array} props.pendingActions - Queue of cell actions received from peers
+ * @param {Function} props.onEliminatedChange - Callback with the peerIds of the players out of an elimination game
+ * @param {Array} props.pendingActions - Queue of cell actions, undo votes, race progress and turns received from peers
  * @param {Function} props.clearPendingActions - Callback to clear processed pending actions
  * @param {Function} props.onGameOver - Callback triggered when game ends
+ * @param {Function} props.onLeaveGame - Callback to go back to the lobby alone, while the other racers play on
  * @param {Function} props.onCursorMove - Callback to sync cursor position with other players
  * @param {Object} props.peerCursors - Cursor positions of other players
  * @param {Array} props.connectedUsers - List of connected players
+ * @param {Array<string>} props.connectedPeers - IDs of the peers currently connected
  * @param {Function} props.addSystemMessage - Callback to add system messages
+ * @param {string} props.peerId - ID of the local player, used to credit their clicks
+ * @param {Object} props.userInfo - Name and color of the local player
  */
-const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, pendingActions, clearPendingActions, onGameOver, onCursorMove, peerCursors, connectedUsers, addSystemMessage }) => {
-    // Core game state
-    const [localBoard, setLocalBoard] = useState(null);
-    const [gameStatus, setGameStatus] = useState(GAME_STATUS.PLAYING);
-    const [flagsCount, setFlagsCount] = useState(0);
-    const [timer, setTimer] = useState(() => createTimer(config));
-    const [isFirstClick, setIsFirstClick] = useState(true);
-    const [minesPlaced, setMinesPlaced] = useState(false);
+const Minesweeper = ({ config, seed, board: networkBoard, turn: networkTurn, onCellAction, onUndoMessage, onRaceProgress, onTurnState, onSyncBoard, onEliminatedChange, pendingActions, clearPendingActions, onGameOver, onLeaveGame, onCursorMove, peerCursors, connectedUsers, connectedPeers, addSystemMessage, peerId, userInfo }) => {
+    // The engine runs the game, this component only renders its state and forwards clicks
+    const [engine] = useState(() => new GameEngine({ config, seed, peerId, board: networkBoard, turn: networkTurn }));
+    const [game, setGame] = useState(() => engine.getState());
+    const { board: localBoard, status: gameStatus, timer, minesPlaced, hintCell, finalStats, finalBoard, undoVote } = game;
     const [countdown, setCountdown] = useState(null);
+    const [showHeatmap, setShowHeatmap] = useState(false);
 
     // Scroll and drag functionality state
     const [isDragging, setIsDragging] = useState(false);
     const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
     const [scrollPosition, setScrollPosition] = useState({ x: 0, y: 0 });
 
-    // Refs for DOM elements and timers
+    // Refs for DOM elements
     const containerRef = useRef(null);
-    const timerRef = useRef(null);
-    const gameTimerRef = useRef(null);
     const gameContentRef = useRef(null);
     const boardRef = useRef(null);
-    const lastSystemMessage = useRef(0);
-    const initialBoardApplied = useRef(false);
+    // Board last stored for new-peer joins, starting with the one received when joining
+    const syncedBoard = useRef(localBoard);
+    // The end screen countdown waits while an undo vote is open
+    const undoVoteRef = useRef(null);
+    undoVoteRef.current = undoVote;
+
+    const { rules } = engine;
+    const isGameOver = gameStatus !== GAME_STATUS.PLAYING && (!engine.isRace || game.raceOver);
+    const flagsCount = useMemo(() => countFlags(localBoard), [localBoard]);
+    // Flags are shown in the color of the player who placed them
+    const playerColors = useMemo(() => {
+        const colors = { [peerId]: userInfo.color?.value };
+        connectedUsers.forEach((user, id) => {
+            colors[id] = user.color?.value;
+        });
+        return colors;
+    }, [peerId, userInfo, connectedUsers]);
 
     /**
-     * Syncs the current board to PeerNetwork storage for new-peer joins.
-     * Does NOT broadcast to existing peers.
+     * Gets the name of a player
+     * @param {string} id - peerId of the player
+     * @returns {string} Player name
      */
-    const syncBoardToNetwork = useCallback((board) => {
-        const blueprint = createBoardBlueprint(board);
-        onSyncBoard(blueprint);
-    }, [onSyncBoard]);
+    const getPlayerName = useCallback((id) => (
+        id === peerId ? userInfo.name : connectedUsers.get(id)?.name || 'Someone'
+    ), [peerId, userInfo, connectedUsers]);
 
     /**
-     * Initialize empty game board on component mount
+     * Describes a cell action for undo votes, e.g. "Alice's reveal at (3, 5)"
+     * @param {Object} action - Cell action tagged with the peerId of the player who made it
+     * @returns {string} Description of the action
      */
-    useEffect(() => {
-        if (!localBoard) {
-            const emptyBoard = createEmptyBoard(config.width, config.height);
-            setLocalBoard(emptyBoard);
-            setFlagsCount(0);
-        }
-    }, [config.width, config.height, localBoard]);
+    const describeAction = useCallback((action) => (
+        `${getPlayerName(action.peerId)}'s ${ACTION_NAMES[action.action]} at (${action.x + 1}, ${action.y + 1})`
+    ), [getPlayerName]);
 
     /**
-     * Cleanup timers on component unmount
+     * Describes the result of a territory game, e.g. "Alice wins with 42 points"
+     * @param {Array<Object>} ranking - Figures of each player, best first (see rankTerritory)
+     * @returns {string} Result of the game
      */
-    useEffect(() => {
-        return () => {
-            if (timerRef.current) clearInterval(timerRef.current);
-            if (gameTimerRef.current) clearInterval(gameTimerRef.current);
-        };
-    }, []);
+    const describeTerritoryResult = useCallback((ranking) => {
+        if (ranking.length === 0) return 'No cell was claimed';
+        const [first, second] = ranking;
+        if (second && second.points === first.points) return `Draw at ${first.points} points`;
+        return `${getPlayerName(first.peerId)} wins with ${first.points} points`;
+    }, [getPlayerName]);
 
     /**
-     * Handles game over state, reveals mines, and initiates countdown.
-     * Each peer detects game-over locally after applying a REVEAL action on a mine.
+     * Describes the result of an elimination game, e.g. "Board cleared, still in: Bob. Out in order: 1. Alice"
+     * @param {boolean} isWon - Whether the board was cleared
+     * @param {Object} elimination - Players out, first out first, and players still in { eliminated, survivors }
+     * @returns {string} Result of the game
      */
-    const handleGameOver = useCallback(() => {
-        const revealedBoard = revealAllMines(localBoard);
-        setLocalBoard(revealedBoard);
-        setGameStatus(GAME_STATUS.LOST);
-
-        // Sync revealed board so new peers joining see the correct end state
-        syncBoardToNetwork(revealedBoard);
-
-        const now = Date.now();
-        if (now - lastSystemMessage.current > 1000) {
-            addSystemMessage('You lost!');
-            lastSystemMessage.current = now;
-        }
+    const describeEliminationResult = useCallback((isWon, { eliminated, survivors }) => {
+        const result = survivors.length === 0
+            ? 'Everyone is out'
+            : `${isWon ? 'Board cleared' : 'Game over'}, still in: ${survivors.map(id => getPlayerName(id)).join(', ')}`;
+        if (eliminated.length === 0) return result;
+        const order = eliminated.map((id, index) => `${index + 1}. ${getPlayerName(id)}`);
+        return `${result}. Out in order: ${order.join(', ')}`;
+    }, [getPlayerName]);
 
-        setCountdown(3);
-        if (timerRef.current) clearInterval(timerRef.current);
-
-        timerRef.current = setInterval(() => {
-            setCountdown(prev => {
-                if (prev <= 1) {
-                    clearInterval(timerRef.current);
-                    timerRef.current = null;
-                    onGameOver();
-                    return null;
+    /**
+     * Connects the engine to the view and the network: its state is rendered,
+     * its moves, undo votes, race progress and turns are broadcast and its notices are posted in chat.
+     */
+    useEffect(() => {
+        engine.onChange(setGame);
+        engine.onLocalAction(onCellAction);
+        engine.onUndoMessage(onUndoMessage);
+        engine.onRaceProgress(onRaceProgress);
+        engine.onTurnState(onTurnState);
+        engine.onNotice((notice) => {
+            switch (notice.type) {
+                case GAME_NOTICES.WON:
+                case GAME_NOTICES.LOST:
+                    if (notice.scores) {
+                        addSystemMessage(describeTeamResult(notice.scores));
+                    } else if (notice.ranking) {
+                        addSystemMessage(describeTerritoryResult(notice.ranking));
+                    } else if (notice.survivors) {
+                        addSystemMessage(describeEliminationResult(notice.type === GAME_NOTICES.WON, notice));
+                    } else {
+                        addSystemMessage(notice.type === GAME_NOTICES.WON ? 'You won!' : 'You lost!');
+                    }
+                    break;
+                case GAME_NOTICES.MINE_HIT: {
+                    const name = notice.peerId === peerId ? 'You' : getPlayerName(notice.peerId);
+                    if (engine.isElimination) {
+                        addSystemMessage(`${name} hit a mine and ${notice.peerId === peerId ? 'are' : 'is'} out!`);
+                        break;
+                    }
+                    const lives = rules.lives > 1 ? ` ${notice.livesLeft} ${notice.livesLeft === 1 ? 'life' : 'lives'} left` : '';
+                    addSystemMessage(`${name} hit a mine!${lives}`);
+                    break;
                 }
-                return prev - 1;
-            });
-        }, 1000);
-    }, [localBoard, syncBoardToNetwork, onGameOver, addSystemMessage]);
+                case GAME_NOTICES.HINT: {
+                    const target = notice.hint.kind === 'safe' ? 'A safe cell' : 'A mine';
+                    addSystemMessage(`Hint used: ${target} is highlighted (${notice.hintsLeft} left)`);
+                    break;
+                }
+                case GAME_NOTICES.NO_DEDUCTION:
+                    addSystemMessage('No cell can be deduced right now, a guess is needed');
+                    break;
+                case GAME_NOTICES.NO_GUESS_FALLBACK:
+                    addSystemMessage(NO_GUESS_FALLBACK_MESSAGE);
+                    break;
+                case GAME_NOTICES.UNDO_PROPOSED: {
+                    const proposer = notice.vote.peerId === peerId ? 'You propose' : `${getPlayerName(notice.vote.peerId)} proposes`;
+                    addSystemMessage(`${proposer} undoing ${describeAction(notice.vote.action)}`);
+                    break;
+                }
+                case GAME_NOTICES.UNDO_APPROVED:
+                    addSystemMessage(`Undo approved: ${describeAction(notice.vote.action)} was undone`);
+                    break;
+                case GAME_NOTICES.UNDO_REJECTED:
+                    addSystemMessage('Undo rejected');
+                    break;
+                case GAME_NOTICES.RACE_OVER: {
+                    const ranking = notice.ranking.map((racer, index) => (
+                        `${index + 1}. ${getPlayerName(racer.peerId)} ${describeRacer(racer)}`
+                    ));
+                    addSystemMessage(`Race over! ${ranking.join(', ')}`);
+                    break;
+                }
+                default:
+                    break;
+            }
+        });
+    }, [engine, rules, onCellAction, onUndoMessage, onRaceProgress, onTurnState, addSystemMessage, peerId, getPlayerName, describeAction, describeTerritoryResult, describeEliminationResult]);
 
     /**
-     * Manages game timer updates while game is in progress
+     * Keeps the engine aware of the connected players, whom races wait for and turns skip when missing.
+     * Comes before the start so the first turn skips a player who already left.
      */
     useEffect(() => {
-        if (gameStatus === GAME_STATUS.PLAYING) {
-            const interval = setInterval(() => {
-                setTimer(prevTimer => updateTimer(prevTimer));
-            }, 1000);
+        engine.setPlayers(connectedPeers);
+    }, [engine, connectedPeers]);
 
-            return () => clearInterval(interval);
-        }
-    }, [gameStatus]);
+    /**
+     * Starts the game on mount and stops its timers on unmount.
+     * Comes after the callbacks so the opening of a race is shared, and after the players are set.
+     */
+    useEffect(() => {
+        engine.start();
+        return () => engine.destroy();
+    }, [engine]);
 
     /**
-     * Handles timer expiration in countdown mode
+     * Tells the player list who is out of an elimination game, and that no one is in other games
      */
+    const eliminated = game.elimination?.eliminated;
     useEffect(() => {
-        if (timer.isCountdown && timer.currentSeconds === 0 && gameStatus === GAME_STATUS.PLAYING) {
-            handleGameOver();
-        }
-    }, [timer.currentSeconds, timer.isCountdown, gameStatus, handleGameOver]);
+        onEliminatedChange(eliminated || []);
+    }, [eliminated, onEliminatedChange]);
 
     /**
-     * Handles cell click events, including first click mine placement.
-     * Sends cell-level actions to peers instead of full board state.
-     * @param {number} x - X coordinate of clicked cell
-     * @param {number} y - Y coordinate of clicked cell
+     * Syncs every new board to PeerNetwork storage for new-peer joins.
+     * Does NOT broadcast to existing peers. Racers joining start their own copy of the board.
      */
-    const handleCellClick = (x, y) => {
-        if (gameStatus !== GAME_STATUS.PLAYING) return;
+    useEffect(() => {
+        if (engine.isRace || localBoard === syncedBoard.current) return;
+        syncedBoard.current = localBoard;
+        onSyncBoard(engine.createBlueprint());
+    }, [engine, localBoard, onSyncBoard]);
 
-        let newBoard;
-
-        if (isFirstClick) {
-            newBoard = placeMines(localBoard, config.bombs, x, y);
-            setMinesPlaced(true);
-            setIsFirstClick(false);
-            newBoard = revealCell(newBoard, x, y);
-
-            // Send FIRST_REVEAL with the full board blueprint (mine positions)
-            const blueprint = createBoardBlueprint(newBoard);
-            onCellAction({
-                action: CELL_ACTION_TYPES.FIRST_REVEAL,
-                x,
-                y,
-                board: blueprint
-            });
-        } else {
-            newBoard = revealCell(localBoard, x, y);
-            onCellAction({
-                action: CELL_ACTION_TYPES.REVEAL,
-                x,
-                y
-            });
+    /**
+     * Counts down the end screen once the game ends, waiting while an undo vote is open.
+     * An approved undo takes a lost game back to play, which stops the countdown.
+     * Races end once every racer finished or is out.
+     */
+    useEffect(() => {
+        if (!isGameOver) {
+            setCountdown(null);
+            return;
         }
 
-        // Update local board state immediately
-        setLocalBoard(newBoard);
-        setFlagsCount(countFlags(newBoard));
+        setCountdown(END_SCREEN_SECONDS);
+        const interval = setInterval(() => {
+            setCountdown(prev => (undoVoteRef.current || prev === 0 ? prev : prev - 1));
+        }, 1000);
 
-        // Sync board to network storage (for new-peer joins, no broadcast)
-        syncBoardToNetwork(newBoard);
+        return () => clearInterval(interval);
+    }, [isGameOver]);
 
-        // Check win/lose conditions after board is updated
-        if (newBoard[y][x].isMine) {
-            setTimeout(() => handleGameOver(), 0);
-        } else if (checkWinCondition(newBoard)) {
-            setTimeout(() => handleWin(), 0);
+    /**
+     * Returns to the lobby when the end screen countdown runs out
+     */
+    useEffect(() => {
+        if (countdown === 0) {
+            setCountdown(null);
+            onGameOver();
         }
+    }, [countdown, onGameOver]);
+
+    /**
+     * Handles cell click events. The first click places the mines.
+     * @param {number} x - X coordinate of clicked cell
+     * @param {number} y - Y coordinate of clicked cell
+     */
+    const handleCellClick = (x, y) => {
+        engine.reveal(x, y);
     };
 
     /**
-     * Handles right-click flag placement.
-     * Sends FLAG action to peers instead of full board state.
+     * Handles right-click flag placement, cycling through question marks when enabled.
      * @param {Event} e - Click event
      * @param {number} x - X coordinate of flagged cell
      * @param {number} y - Y coordinate of flagged cell
      */
     const handleCellRightClick = (e, x, y) => {
         e.preventDefault();
-        if (gameStatus !== GAME_STATUS.PLAYING) return;
-
-        const newBoard = toggleFlag(localBoard, x, y);
-        setLocalBoard(newBoard);
-        setFlagsCount(countFlags(newBoard));
-
-        // Send FLAG action to peers
-        onCellAction({
-            action: CELL_ACTION_TYPES.FLAG,
-            x,
-            y
-        });
-
-        // Sync board to network storage (for new-peer joins, no broadcast)
-        syncBoardToNetwork(newBoard);
+        engine.flag(x, y);
     };
 
     /**
-     * Handles win condition, reveals board, and initiates countdown.
-     * Each peer detects win locally after applying the action that reveals the last safe cell.
+     * Handles chording on a revealed number (middle click or left+right click).
+     * @param {number} x - X coordinate of the revealed number
+     * @param {number} y - Y coordinate of the revealed number
      */
-    const handleWin = useCallback(() => {
-        if (gameStatus !== GAME_STATUS.PLAYING) return;
-
-        setGameStatus(GAME_STATUS.WON);
-
-        // Reveal all cells
-        const revealedBoard = localBoard.map(row =>
-            row.map(cell => ({
-                ...cell,
-                status: CELL_STATUS.REVEALED
-            }))
-        );
-
-        setLocalBoard(revealedBoard);
-
-        // Sync revealed board (no broadcast)
-        syncBoardToNetwork(revealedBoard);
+    const handleCellChord = (x, y) => {
+        engine.chord(x, y);
+    };
 
-        const now = Date.now();
-        if (now - lastSystemMessage.current > 1000) {
-            addSystemMessage('You won!');
-            lastSystemMessage.current = now;
-        }
+    /**
+     * Spends a hint to highlight a cell that can be deduced from the revealed numbers
+     */
+    const handleHint = () => {
+        engine.requestHint();
+    };
 
-        if (timerRef.current) clearInterval(timerRef.current);
+    /**
+     * Proposes undoing the last action to the players currently connected
+     */
+    const handleProposeUndo = () => {
+        engine.proposeUndo(connectedPeers);
+    };
 
-        setCountdown(3);
-        timerRef.current = setInterval(() => {
-            setCountdown(prev => {
-                if (prev <= 1) {
-                    clearInterval(timerRef.current);
-                    timerRef.current = null;
-                    onGameOver();
-                    return null;
-                }
-                return prev - 1;
-            });
-        }, 1000);
-    }, [localBoard, syncBoardToNetwork, onGameOver, addSystemMessage, gameStatus]);
+    /**
+     * Votes on the open undo proposal
+     * @param {boolean} approve - Whether this player wants the action undone
+     */
+    const handleUndoVote = (approve) => {
+        engine.voteUndo(approve);
+    };
 
     /**
      * Mouse and drag handling functions for board scrolling
@@ -287,6 +384,15 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
         });
     };
 
+    /**
+     * Shares the local cursor with peers and records it in the replay
+     * @param {Object} position - Normalized cursor position { x, y, isInCanvas }
+     */
+    const moveCursor = useCallback((position) => {
+        engine.recordCursor(peerId, position);
+        onCursorMove(position);
+    }, [engine, onCursorMove, peerId]);
+
     const handleMouseMove = useCallback((e) => {
         if (!boardRef.current) return;
 
@@ -295,13 +401,13 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
         const y = (e.clientY - rect.top) / rect.height;
 
         if (x >= 0 && x <= 1 && y >= 0 && y <= 1) {
-            onCursorMove({ x, y, isInCanvas: true });
+            moveCursor({ x, y, isInCanvas: true });
         }
-    }, [onCursorMove]);
+    }, [moveCursor]);
 
     const handleMouseLeave = useCallback(() => {
-        onCursorMove({ isInCanvas: false });
-    }, [onCursorMove]);
+        moveCursor({ isInCanvas: false });
+    }, [moveCursor]);
 
     const handleMouseUp = useCallback(() => {
         if (!isDragging) return;
@@ -336,106 +442,31 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
     }, [handleMouseMove, handleMouseUp]);
 
     /**
-     * Applies the initial board state when a new peer joins mid-game.
-     * Only runs once when the component mounts with a networkBoard that has data.
+     * Hands cell actions, undo vote messages, race progress and turns received from network peers to the engine
      */
     useEffect(() => {
-        if (localBoard && networkBoard?.board && !initialBoardApplied.current) {
-            // networkBoard.board could be a nested structure from legacy GAME_STATE
-            const blueprint = Array.isArray(networkBoard.board) ? networkBoard.board : networkBoard;
-            if (!Array.isArray(blueprint)) return;
-
-            const updatedBoard = applyBoardBlueprint(localBoard, blueprint);
+        if (!pendingActions || pendingActions.length === 0) return;
 
-            const hasMinePlacement = updatedBoard.some(row =>
-                row.some(cell => cell.isMine)
-            );
-
-            if (hasMinePlacement) {
-                setMinesPlaced(true);
-                setIsFirstClick(false);
-            }
-
-            setLocalBoard(updatedBoard);
-            setFlagsCount(countFlags(updatedBoard));
-            initialBoardApplied.current = true;
-
-            // Check for game-ending state in the received board
-            if (hasMinePlacement) {
-                const hasRevealedMine = updatedBoard.some(row =>
-                    row.some(cell =>
-                        cell.status === CELL_STATUS.REVEALED && cell.isMine
-                    )
-                );
-
-                if (hasRevealedMine && gameStatus === GAME_STATUS.PLAYING) {
-                    setTimeout(() => handleGameOver(), 0);
-                } else if (checkWinCondition(updatedBoard) && gameStatus === GAME_STATUS.PLAYING) {
-                    setTimeout(() => handleWin(), 0);
-                }
-            }
-        }
-    }, [networkBoard]);
+        engine.receive(pendingActions);
+        clearPendingActions();
+    }, [engine, pendingActions, clearPendingActions]);
 
     /**
-     * Processes pending cell actions received from network peers.
-     * Actions are applied sequentially to the local board.
-     * After processing, checks for win/lose conditions.
+     * Records the cursors of other players in the replay while the game is in progress.
+     * Cursors dropped after a timeout are recorded as leaving the board.
      */
     useEffect(() => {
-        if (!pendingActions || pendingActions.length === 0 || !localBoard) return;
-        if (gameStatus !== GAME_STATUS.PLAYING) {
-            clearPendingActions();
-            return;
-        }
-
-        let currentBoard = localBoard;
-        let minesWerePlaced = minesPlaced;
-
-        for (const action of pendingActions) {
-            // Guard: if FIRST_REVEAL arrives but mines are already placed,
-            // just do a normal reveal (prevents overwriting mine layout from a race)
-            if (action.action === CELL_ACTION_TYPES.FIRST_REVEAL && minesWerePlaced) {
-                currentBoard = revealCell(currentBoard, action.x, action.y);
-            } else {
-                const result = applyCellAction(currentBoard, action);
-                currentBoard = result.board;
-                if (result.minesPlaced) {
-                    minesWerePlaced = true;
-                }
-            }
-        }
-
-        // Update local state
-        if (minesWerePlaced && !minesPlaced) {
-            setMinesPlaced(true);
-            setIsFirstClick(false);
-        }
-
-        setLocalBoard(currentBoard);
-        setFlagsCount(countFlags(currentBoard));
-
-        // Sync updated board to network storage
-        syncBoardToNetwork(currentBoard);
-
-        // Clear processed actions
-        clearPendingActions();
+        if (gameStatus !== GAME_STATUS.PLAYING) return;
 
-        // Check win/lose conditions after applying all actions
-        if (minesWerePlaced) {
-            const hasRevealedMine = currentBoard.some(row =>
-                row.some(cell =>
-                    cell.status === CELL_STATUS.REVEALED && cell.isMine
-                )
-            );
-
-            if (hasRevealedMine) {
-                setTimeout(() => handleGameOver(), 0);
-            } else if (checkWinCondition(currentBoard)) {
-                setTimeout(() => handleWin(), 0);
+        Object.entries(peerCursors).forEach(([cursorPeerId, position]) => {
+            engine.recordCursor(cursorPeerId, position);
+        });
+        Object.keys(engine.replay.lastCursors).forEach(cursorPeerId => {
+            if (cursorPeerId !== peerId && !peerCursors[cursorPeerId]) {
+                engine.recordCursor(cursorPeerId, { isInCanvas: false });
             }
-        }
-    }, [pendingActions]);
+        });
+    }, [engine, peerCursors, gameStatus, peerId]);
 
     /**
      * Cursor tracking event listeners setup and cleanup
@@ -466,6 +497,94 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
         };
     };
 
+    /**
+     * Adds the name and color of each player to their end-of-game figures
+     * @param {Array<Object>} players - Per-player figures from summarizeGameStats, race standings or territory ranking
+     * @returns {Array<Object>} Figures with name and color
+     */
+    const describePlayers = (players) => players.map(player => {
+        const user = player.peerId === peerId ? userInfo : connectedUsers.get(player.peerId);
+        return {
+            ...player,
+            name: user ? user.name : 'Disconnected player',
+            color: user?.color?.value
+        };
+    });
+
+    /**
+     * Gets the title of the end screen. Racers see their place once the race is over,
+     * and players of elimination games whether they made it to the end.
+     * @returns {string} End screen title
+     */
+    const getEndTitle = () => {
+        if (engine.isRace) {
+            const place = game.standings.findIndex(racer => racer.peerId === peerId) + 1;
+            if (game.raceOver) return `Race over: you are #${place} of ${game.standings.length}`;
+            return gameStatus === GAME_STATUS.WON ? 'You cleared your board!' : "You're out!";
+        }
+        if (game.scores) return describeTeamResult(game.scores);
+        if (game.territory) return describeTerritoryResult(game.territory.ranking);
+        if (game.elimination?.survivors.length === 0) return 'Everyone is out!';
+        if (game.elimination && gameStatus === GAME_STATUS.WON) {
+            return game.elimination.survivors.includes(peerId) ? 'You survived!' : 'The others cleared the board!';
+        }
+        return gameStatus === GAME_STATUS.WON ? 'You won!' : 'Game over!';
+    };
+
+    /**
+     * Downloads the board of the finished game, as it was before the end-of-game reveal.
+     * @param {string} format - 'text', 'text-state' (with revealed cells and flags) or 'mbf'
+     */
+    const handleExport = (format) => {
+        const filename = `minesweepeers-${seed}`;
+        try {
+            if (format === 'mbf') {
+                downloadFile(`${filename}.mbf`, exportBoardAsMbf(finalBoard), 'application/octet-stream');
+            } else {
+                downloadFile(`${filename}.txt`, exportBoardAsText(finalBoard, format === 'text-state'), 'text/plain');
+            }
+        } catch (error) {
+            addSystemMessage(error.message);
+        }
+    };
+
+    /**
+     * Downloads the recording of the game, with the name and color of every known player
+     */
+    const handleDownloadReplay = () => {
+        const players = {};
+        [peerId, ...connectedUsers.keys()].forEach(id => {
+            const user = id === peerId ? userInfo : connectedUsers.get(id);
+            players[id] = { name: user.name, color: user.color?.value };
+        });
+        downloadFile(`minesweepeers-${seed}.replay.json`, serializeReplay(engine.replay, players), 'application/json');
+    };
+
+    // The heatmap is local to each player and only computed while it is shown
+    const heatmap = useMemo(() => {
+        if (!rules.heatmap || !showHeatmap || !minesPlaced || gameStatus !== GAME_STATUS.PLAYING) {
+            return null;
+        }
+        return calculateMineProbabilities(localBoard, rules.mines);
+    }, [rules, showHeatmap, minesPlaced, localBoard, gameStatus]);
+
+    // Undo is a cooperative aid
+    const undoEnabled = !isCompetitiveMode(rules.mode);
+    const { canProposeUndo } = game;
+
+    // Whose turn it is, for the header
+    const turn = game.turn && {
+        name: getPlayerName(game.turn.player),
+        isOwn: game.turn.player === peerId,
+        secondsLeft: game.turn.secondsLeft
+    };
+
+    // A hint stays highlighted until someone reveals or flags the hinted cell
+    const hintStatus = hintCell && getCell(localBoard, hintCell.x, hintCell.y).status;
+    const activeHint = hintStatus === CELL_STATUS.HIDDEN || hintStatus === CELL_STATUS.QUESTION
+        ? hintCell
+        : null;
+
     return (
         <div className="minesweeper">
             <div className="header-wrapper">
@@ -474,6 +593,23 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
                     flagsCount={flagsCount}
                     totalMines={config.bombs}
                     timer={timer}
+                    noGuess={rules.noGuess}
+                    hintsLeft={Math.max(0, rules.hints - game.hintsUsed)}
+                    hintsEnabled={rules.hints > 0}
+                    canHint={game.canHint}
+                    onHint={handleHint}
+                    undoEnabled={undoEnabled}
+                    canUndo={canProposeUndo && gameStatus === GAME_STATUS.PLAYING}
+                    onUndo={handleProposeUndo}
+                    lives={rules.lives}
+                    livesLeft={game.livesLeft}
+                    heatmapEnabled={rules.heatmap}
+                    showHeatmap={showHeatmap}
+                    onToggleHeatmap={() => setShowHeatmap(!showHeatmap)}
+                    scores={game.scores}
+                    team={engine.isTeams ? getPlayerTeam(rules.teams, peerId) : null}
+                    turn={gameStatus === GAME_STATUS.PLAYING ? turn : null}
+                    isOut={gameStatus === GAME_STATUS.PLAYING && Boolean(eliminated?.includes(peerId))}
                 />
             </div>
             <div
@@ -490,29 +626,89 @@ const Minesweeper = ({ config, board: networkBoard, onCellAction, onSyncBoard, p
                         ref={boardRef}
                         className="board-container"
                         onMouseMove={handleMouseMove}
-                        onMouseLeave={() => onCursorMove({ isInCanvas: false })}
+                        onMouseLeave={handleMouseLeave}
                     >
                         <Board
                             board={localBoard}
                             onCellClick={handleCellClick}
                             onCellRightClick={handleCellRightClick}
+                            onCellChord={handleCellChord}
                             gameStatus={gameStatus}
+                            hintCell={activeHint}
+                            heatmap={heatmap}
+                            playerColors={playerColors}
+                            claims={game.territory?.claims}
                         />
-                        <CursorOverlay
-                            cursors={peerCursors}
-                            connectedUsers={connectedUsers}
-                        />
+                        {!engine.isRace && (
+                            <CursorOverlay
+                                cursors={peerCursors}
+                                connectedUsers={connectedUsers}
+                            />
+                        )}
                     </div>
                 </div>
             </div>
             {gameStatus !== GAME_STATUS.PLAYING && (
                 <div className="game-over-overlay">
-                    <h2>{gameStatus === GAME_STATUS.WON ? 'You won!' : 'Game over!'}</h2>
-                    {countdown && (
-                        <p className="countdown">Returning to lobby in {countdown}...</p>
+                    <h2>{getEndTitle()}</h2>
+                    {game.territory && (
+                        <TerritoryResults players={describePlayers(game.territory.ranking)} peerId={peerId} />
+                    )}
+                    {game.elimination && (
+                        <EliminationResults
+                            eliminated={describePlayers(game.elimination.eliminated.map(id => ({ peerId: id })))}
+                            survivors={describePlayers(game.elimination.survivors.map(id => ({ peerId: id })))}
+                            peerId={peerId}
+                        />
+                    )}
+                    {finalStats && (
+                        <GameStats stats={finalStats} players={describePlayers(finalStats.players)} />
+                    )}
+                    {gameStatus === GAME_STATUS.LOST && canProposeUndo && (
+                        <button className="undo-proposal" onClick={handleProposeUndo}>
+                            ↩️ Propose undoing the last move
+                        </button>
+                    )}
+                    {engine.isRace && !game.raceOver && (
+                        <>
+                            <p className="countdown">Waiting for the other racers...</p>
+                            <button className="leave-race" onClick={onLeaveGame} title="The others keep racing">
+                                🚪 Back to lobby
+                            </button>
+                        </>
+                    )}
+                    {countdown > 0 && (
+                        <p className="countdown">
+                            {undoVote ? 'Waiting for the undo vote...' : `Returning to lobby in ${countdown}...`}
+                        </p>
+                    )}
+                    <p className="game-seed">Seed: {seed}</p>
+                    <button className="replay-download" onClick={handleDownloadReplay}>
+                        🎬 Download replay
+                    </button>
+                    {finalBoard && hasMinesPlaced(finalBoard) && (
+                        <div className="board-export">
+                            Export board:
+                            <button onClick={() => handleExport('text')}>Text</button>
+                            <button onClick={() => handleExport('text-state')}>Text with progress</button>
+                            <button onClick={() => handleExport('mbf')}>MBF</button>
+                        </div>
                     )}
                 </div>
             )}
+            {engine.isRace && (
+                <RaceStandings racers={describePlayers(game.standings)} peerId={peerId} />
+            )}
+            {undoVote && (
+                <UndoVote
+                    proposer={getPlayerName(undoVote.peerId)}
+                    description={describeAction(undoVote.action)}
+                    approvals={Object.values(undoVote.votes).filter(Boolean).length}
+                    needed={Math.floor((undoVote.voters.length + 1) / 2) + 1}
+                    canVote={undoVote.voters.includes(peerId) && undoVote.votes[peerId] === undefined}
+                    onVote={handleUndoVote}
+                />
+            )}
         </div>
     );
 };
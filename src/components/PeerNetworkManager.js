@@ -5,7 +5,9 @@ import './PeerNetworkManager.css';
 import UserSetup from './UserSetup';
 import GameConfig from './GameConfig';
 import Minesweeper from './Minesweeper';
-import { createEmptyBoard } from '../utils/minesweeperLogic';
+import ReplayViewer from './ReplayViewer';
+import { createEmptyBoard, createBoardBlueprint, getBoardLayout } from '../utils/minesweeperLogic';
+import { createSeed } from '../utils/seededRandom';
 import { useWakeLock } from '../hooks/useWakeLock';
 
 /**
@@ -20,6 +22,8 @@ import { useWakeLock } from '../hooks/useWakeLock';
  * - Real-time chat functionality
  * - Cursor position broadcasting
  * - Game configuration and lifecycle management
+ * - Local replay viewing between games
+ * - Greying out the players out of an elimination game
  */
 const PeerNetworkManager = () => {
     useWakeLock();
@@ -46,11 +50,18 @@ const PeerNetworkManager = () => {
         addSystemMessage,
         pendingActions,
         broadcastCellAction,
+        broadcastUndoMessage,
+        broadcastRaceProgress,
+        broadcastTurnState,
         clearPendingActions,
         syncBoard,
     } = usePeerNetwork();
     const [copyFeedback, setCopyFeedback] = useState(false);
     const [connectionError, setConnectionError] = useState('');
+    // Replay being watched, only on this peer
+    const [replay, setReplay] = useState(null);
+    // Players out of the elimination game in progress, greyed in the player list
+    const [eliminated, setEliminated] = useState([]);
     const lastCursorPosition = useRef(null);
 
     /**
@@ -123,13 +134,17 @@ const PeerNetworkManager = () => {
     };
 
     /**
-     * Initializes new game with provided configuration
+     * Initializes new game with provided configuration and a fresh seed.
+     * An imported board is broadcast as is, so every peer starts with the same mines.
      * @param {Object} config - Game configuration parameters
+     * @param {Object} [importedBoard] - Pre-built board blueprint, with mines placed
      */
-    const handleStartGame = (config) => {
+    const handleStartGame = (config, importedBoard) => {
         endGame(null, false);
-        const initialBoard = createEmptyBoard(config.width, config.height);
-        startGame(config, initialBoard);
+        const initialBoard = importedBoard || createBoardBlueprint(
+            createEmptyBoard(config.width, config.height, getBoardLayout(config))
+        );
+        startGame(config, initialBoard, createSeed());
     };
 
     /**
@@ -142,7 +157,7 @@ const PeerNetworkManager = () => {
 
     /**
      * Broadcasts a cell action to all connected peers.
-     * @param {Object} action - Cell action to broadcast { action, x, y, board? }
+     * @param {Object} action - Cell action to broadcast { action, x, y }
      */
     const handleCellAction = (action) => {
         broadcastCellAction(action);
@@ -184,6 +199,13 @@ const PeerNetworkManager = () => {
         updateGameConfig(null);
     };
 
+    /**
+     * Checks whether a player is out of the elimination game in progress
+     * @param {string} id - Peer ID of the player
+     * @returns {boolean} True if the player is out and only watches
+     */
+    const isEliminated = (id) => Boolean(gameState) && eliminated.includes(id);
+
     /**
      * Determines if chat functionality should be enabled
      */
@@ -255,7 +277,7 @@ const PeerNetworkManager = () => {
                     <h3>Players ({connectedPeers.length + 1})</h3>
                     <ul>
                         <li 
-                            className="current-user"
+                            className={`current-user ${isEliminated(peerId) ? 'eliminated' : ''}`}
                             style={{ color: userInfo.color.value }}
                         >
                             {userInfo.name} (You)
@@ -263,6 +285,7 @@ const PeerNetworkManager = () => {
                         {connectedPeers.map((peer) => (
                             <li 
                                 key={peer}
+                                className={isEliminated(peer) ? 'eliminated' : ''}
                                 style={{ color: connectedUsers.get(peer)?.color.value }}
                             >
                                 {getUserName(peer)}
@@ -276,22 +299,47 @@ const PeerNetworkManager = () => {
                 {gameState ? (
                     <Minesweeper
                         config={gameState.config}
+                        seed={gameState.seed}
                         board={gameState.board}
+                        turn={gameState.turn}
                         onCellAction={handleCellAction}
+                        onUndoMessage={broadcastUndoMessage}
+                        onRaceProgress={broadcastRaceProgress}
+                        onTurnState={broadcastTurnState}
                         onSyncBoard={handleSyncBoard}
+                        onEliminatedChange={setEliminated}
                         pendingActions={pendingActions}
                         clearPendingActions={clearPendingActions}
                         onGameOver={handleGameOver}
+                        onLeaveGame={handleLeaveGame}
                         onCursorMove={handleCursorMove}
                         peerCursors={peerCursors}
                         connectedUsers={connectedUsers}
+                        connectedPeers={connectedPeers}
                         addSystemMessage={addSystemMessage}
+                        peerId={peerId}
+                        userInfo={userInfo}
+                    />
+                ) : replay ? (
+                    <ReplayViewer
+                        replay={replay}
+                        onClose={() => setReplay(null)}
                     />
                 ) : (
                     <GameConfig 
                         onStartGame={handleStartGame}
                         onConfigChange={handleConfigChange}
                         initialConfig={gameConfig}
+                        onWatchReplay={setReplay}
+                        players={[
+                            { peerId, name: userInfo.name, color: userInfo.color.value, joinedAt: userInfo.joinedAt },
+                            ...connectedPeers.map(peer => ({
+                                peerId: peer,
+                                name: getUserName(peer),
+                                color: connectedUsers.get(peer)?.color.value,
+                                joinedAt: connectedUsers.get(peer)?.joinedAt
+                            }))
+                        ]}
                     />
                 )}
             </div>
@@ -0,0 +1,55 @@
+import React from 'react';
+import { GAME_STATUS } from '../constants/gameTypes';
+import { formatTime } from '../utils/minesweeperLogic';
+import './RaceStandings.css';
+
+/**
+ * Describes where a racer is: their finish time, or how much of their board they cleared.
+ * 
+ * @param {Object} racer - Progress of the racer { cleared, status, time }
+ * @returns {string} Short description such as "🏁 01:23", "💥 40%" or "65%"
+ */
+export const describeRacer = (racer) => {
+    if (racer.status === GAME_STATUS.WON) return `🏁 ${formatTime(Math.floor(racer.time / 1000))}`;
+    if (racer.status === GAME_STATUS.LOST) return `💥 ${racer.cleared}%`;
+    return `${racer.cleared}%`;
+};
+
+/**
+ * RaceStandings Component - Live standings of a race, shown next to the board
+ * 
+ * Lists the racers best first (see rankRacers), each with a bar of how much of their
+ * board they cleared, their finish time once they cleared it, or 💥 once they are out.
+ * 
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.racers - Ranked progress of each racer, with their name and color
+ * @param {string} props.peerId - ID of the local player, highlighted in the list
+ * @returns {JSX.Element} Standings panel
+ */
+const RaceStandings = ({ racers, peerId }) => {
+    return (
+        <div className="race-standings">
+            <h3>🏁 Race</h3>
+            <ol>
+                {racers.map(racer => (
+                    <li
+                        key={racer.peerId}
+                        className={`${racer.peerId === peerId ? 'current-racer' : ''} ${racer.status === GAME_STATUS.LOST ? 'out' : ''}`}
+                    >
+                        <div className="racer-name">
+                            {racer.color && <span className="player-color" style={{ backgroundColor: racer.color }} />}
+                            {racer.name}
+                            <span className="racer-progress">{describeRacer(racer)}</span>
+                        </div>
+                        <div className="racer-bar">
+                            <div style={{ width: `${racer.cleared}%`, backgroundColor: racer.color }} />
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default RaceStandings;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Board from './Board';
+import CursorOverlay from './CursorOverlay';
+import { GAME_MODE, GAME_STATUS } from '../constants/gameTypes';
+import { formatTime } from '../utils/minesweeperLogic';
+import { createReplayTimeline, getReplayBoard, getReplayCursors, getReplayStatus, getReplayEliminated } from '../utils/gameReplay';
+import './ReplayViewer.css';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Milliseconds between two frames of the playback
+const FRAME_INTERVAL = 50;
+
+/**
+ * ReplayViewer Component - Plays a recorded game back on a read-only board
+ *
+ * Shows the board and the cursors of every player as they were at the current
+ * moment of the replay, with play/pause, speed control and a timeline to scrub through.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.replay - Replay returned by parseReplay
+ * @param {Function} props.onClose - Handler to leave the viewer
+ * @returns {JSX.Element} Replay viewer
+ */
+const ReplayViewer = ({ replay, onClose }) => {
+    const [time, setTime] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+
+    const timeline = useMemo(() => createReplayTimeline(replay), [replay]);
+    const board = useMemo(() => getReplayBoard(timeline, time), [timeline, time]);
+    const cursors = getReplayCursors(timeline, time);
+
+    // CursorOverlay looks players up the same way it does during a game
+    const players = useMemo(() => new Map(
+        Object.entries(replay.players).map(([peerId, player]) => [
+            peerId,
+            { name: player.name, color: { value: player.color } }
+        ])
+    ), [replay]);
+    const playerColors = useMemo(() => Object.fromEntries(
+        Object.entries(replay.players).map(([peerId, player]) => [peerId, player.color])
+    ), [replay]);
+
+    /**
+     * Advances the replay while it plays, stopping at the end
+     */
+    useEffect(() => {
+        if (!isPlaying) return;
+
+        const interval = setInterval(() => {
+            setTime(prev => Math.min(prev + FRAME_INTERVAL * speed, timeline.duration));
+        }, FRAME_INTERVAL);
+
+        return () => clearInterval(interval);
+    }, [isPlaying, speed, timeline]);
+
+    /**
+     * Pauses the playback when it reaches the end of the replay
+     */
+    useEffect(() => {
+        if (time >= timeline.duration) {
+            setIsPlaying(false);
+        }
+    }, [time, timeline]);
+
+    /**
+     * Starts or pauses the playback, starting over when the replay has ended
+     */
+    const handlePlayPause = () => {
+        if (!isPlaying && time >= timeline.duration) {
+            setTime(0);
+        }
+        setIsPlaying(!isPlaying);
+    };
+
+    // Cells can't be played, right clicks only skip the browser menu
+    const ignoreClick = () => {};
+    const ignoreRightClick = (e) => e.preventDefault();
+
+    const status = getReplayStatus(timeline, time, board);
+    // Players of elimination games go out one by one while the others play on
+    const isElimination = timeline.rules.mode === GAME_MODE.ELIMINATION;
+    const outCount = isElimination ? getReplayEliminated(timeline, time).length : 0;
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-controls">
+                <button className="replay-play" onClick={handlePlayPause}>
+                    {isPlaying ? '⏸️ Pause' : '▶️ Play'}
+                </button>
+                <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+                    {SPEEDS.map(value => (
+                        <option key={value} value={value}>{value}x</option>
+                    ))}
+                </select>
+                <input
+                    type="range"
+                    className="replay-timeline"
+                    min={0}
+                    max={timeline.duration}
+                    step={FRAME_INTERVAL}
+                    value={time}
+                    onChange={(e) => setTime(Number(e.target.value))}
+                />
+                <span className="replay-time">
+                    {formatTime(Math.floor(time / 1000))} / {formatTime(Math.floor(timeline.duration / 1000))}
+                </span>
+                <button className="replay-close" onClick={onClose}>Close</button>
+            </div>
+            <div className="replay-info">
+                {replay.config.width}x{replay.config.height}, {replay.config.bombs} bombs, seed {replay.seed}
+                {status === GAME_STATUS.WON && ' · Cleared'}
+                {status === GAME_STATUS.LOST && (isElimination ? ' · Everyone out' : ' · Mine hit')}
+                {status === GAME_STATUS.PLAYING && outCount > 0 && ` · ${outCount} out`}
+            </div>
+            <div className="replay-scroll-container">
+                <div className="replay-board">
+                    <Board
+                        board={board}
+                        onCellClick={ignoreClick}
+                        onCellRightClick={ignoreRightClick}
+                        onCellChord={ignoreClick}
+                        gameStatus={status}
+                        playerColors={playerColors}
+                    />
+                    <CursorOverlay cursors={cursors} connectedUsers={players} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReplayViewer;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isMaskVoid, setMaskCell } from '../utils/boardShapes';
+import './ShapeEditor.css';
+
+// Largest side of the preview in pixels, and the size limits of its cells
+const PREVIEW_SIZE = 240;
+const MAX_CELL_SIZE = 16;
+
+const CELL_COLOR = '#ccc';
+const VOID_COLOR = '#fff';
+
+/**
+ * ShapeEditor Component - Preview of the shape of the board, where custom shapes are painted
+ *
+ * Draws every cell of the board on a canvas, so even the largest boards stay responsive.
+ * When editable, pressing a cell toggles it between playable and void, and dragging paints
+ * the following cells the same way. The mask is only reported once the stroke ends, so
+ * peers receive one configuration update per stroke.
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {number} props.width - Board width in cells
+ * @param {number} props.height - Board height in cells
+ * @param {Array<string>} props.mask - Mask rows of the shape (see boardShapes)
+ * @param {boolean} props.editable - Whether cells can be painted
+ * @param {Function} props.onChange - Handler called with the painted mask
+ * @returns {JSX.Element} Shape preview
+ */
+const ShapeEditor = ({ width, height, mask, editable, onChange }) => {
+    const canvasRef = useRef(null);
+    // Mask being painted, and whether the current stroke makes cells void
+    const [draft, setDraft] = useState(null);
+    const strokeRef = useRef(null);
+
+    const shownMask = draft || mask;
+    const cellSize = Math.max(1, Math.min(MAX_CELL_SIZE, Math.floor(PREVIEW_SIZE / Math.max(width, height))));
+
+    /**
+     * Draws the cells of the shape
+     */
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const context = canvas.getContext('2d');
+        // Cells are only separated when they are large enough to stay visible
+        const gap = cellSize > 4 ? 1 : 0;
+        context.fillStyle = VOID_COLOR;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = CELL_COLOR;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!isMaskVoid(shownMask, x, y)) {
+                    context.fillRect(x * cellSize, y * cellSize, cellSize - gap, cellSize - gap);
+                }
+            }
+        }
+    }, [shownMask, width, height, cellSize]);
+
+    /**
+     * Finds the cell under the mouse
+     *
+     * @param {React.MouseEvent} e - Mouse event on the canvas
+     * @returns {{ x: number, y: number }|null} Cell coordinates or null outside the board
+     */
+    const getEventCell = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / cellSize);
+        const y = Math.floor((e.clientY - rect.top) / cellSize);
+        if (x < 0 || x >= width || y < 0 || y >= height) return null;
+        return { x, y };
+    };
+
+    const handleMouseDown = (e) => {
+        if (!editable || e.button !== 0) return;
+        const cell = getEventCell(e);
+        if (!cell) return;
+
+        strokeRef.current = !isMaskVoid(mask, cell.x, cell.y);
+        setDraft(setMaskCell(mask, cell.x, cell.y, strokeRef.current));
+    };
+
+    const handleMouseMove = (e) => {
+        if (strokeRef.current === null) return;
+        const cell = getEventCell(e);
+        if (!cell) return;
+        setDraft(prev => setMaskCell(prev, cell.x, cell.y, strokeRef.current));
+    };
+
+    /**
+     * Ends the stroke, reporting the painted mask
+     */
+    const handleStrokeEnd = () => {
+        if (strokeRef.current === null) return;
+        strokeRef.current = null;
+        if (draft && draft !== mask) {
+            onChange(draft);
+        }
+        setDraft(null);
+    };
+
+    return (
+        <canvas
+            ref={canvasRef}
+            className={`shape-editor ${editable ? 'editable' : ''}`}
+            width={width * cellSize}
+            height={height * cellSize}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleStrokeEnd}
+            onMouseLeave={handleStrokeEnd}
+        />
+    );
+};
+
+export default ShapeEditor;
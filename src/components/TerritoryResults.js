@@ -0,0 +1,52 @@
+import React from 'react';
+import { TERRITORY_SCORING } from '../utils/minesweeperLogic';
+import './TerritoryResults.css';
+
+/**
+ * TerritoryResults Component - Final scores of a territory game, shown on the end screen
+ * 
+ * Lists the players best first (see rankTerritory) with the cells they claimed,
+ * the mines they hit and the points these are worth.
+ * 
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<Object>} props.players - Ranked figures of each player { peerId, cells, minesHit, points }, with their name and color
+ * @param {string} props.peerId - ID of the local player, highlighted in the table
+ * @returns {JSX.Element} Results table
+ */
+const TerritoryResults = ({ players, peerId }) => {
+    return (
+        <div className="territory-results">
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Player</th>
+                        <th>Cells</th>
+                        <th>Mines hit</th>
+                        <th>Points</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {players.map((player, index) => (
+                        <tr key={player.peerId} className={player.peerId === peerId ? 'current-player' : ''}>
+                            <td>{index + 1}</td>
+                            <td>
+                                {player.color && <span className="player-color" style={{ backgroundColor: player.color }} />}
+                                {player.name}
+                            </td>
+                            <td>{player.cells}</td>
+                            <td>{player.minesHit}</td>
+                            <td>{player.points}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="territory-scoring">
+                +{TERRITORY_SCORING.CLAIMED_CELL} per cell claimed, {TERRITORY_SCORING.MINE_HIT} per mine hit
+            </div>
+        </div>
+    );
+};
+
+export default TerritoryResults;
@@ -0,0 +1,41 @@
+import React from 'react';
+import './UndoVote.css';
+
+/**
+ * UndoVote Component - Prompt of an open undo vote
+ * 
+ * Tells every player which move would be undone and how many approvals are still needed,
+ * and lets the players who haven't voted yet approve or reject it.
+ * 
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.proposer - Name of the player who proposed the undo
+ * @param {string} props.description - Description of the move to undo
+ * @param {number} props.approvals - Approvals so far, the proposer's included
+ * @param {number} props.needed - Approvals needed for a majority
+ * @param {boolean} props.canVote - Whether the local player can still vote
+ * @param {Function} props.onVote - Handler called with true to approve or false to reject
+ * @returns {JSX.Element} Undo vote prompt
+ */
+const UndoVote = ({ proposer, description, approvals, needed, canVote, onVote }) => {
+    return (
+        <div className="undo-vote">
+            <div className="undo-vote-title">
+                ↩️ {proposer} proposes undoing {description}
+            </div>
+            <div className="undo-vote-tally">
+                {approvals} of {needed} approvals needed
+            </div>
+            {canVote ? (
+                <div className="undo-vote-buttons">
+                    <button className="approve" onClick={() => onVote(true)}>Undo</button>
+                    <button className="reject" onClick={() => onVote(false)}>Keep</button>
+                </div>
+            ) : (
+                <div className="undo-vote-waiting">Waiting for the other votes...</div>
+            )}
+        </div>
+    );
+};
+
+export default UndoVote;
@@ -1,3 +1,5 @@
+import { TEAM } from './gameTypes';
+
 /**
  * Array of predefined colors for peer identification in the application
  * Each color object contains:
@@ -22,4 +24,12 @@ export const PEER_COLORS = [
  */
 export const getRandomColor = () => {
     return PEER_COLORS[Math.floor(Math.random() * PEER_COLORS.length)];
-}; 
\ No newline at end of file
+};
+
+/**
+ * Colors of the teams of a team game, taken from PEER_COLORS
+ */
+export const TEAM_COLORS = {
+    [TEAM.RED]: PEER_COLORS.find(color => color.id === 'red'),
+    [TEAM.BLUE]: PEER_COLORS.find(color => color.id === 'blue')
+};
@@ -6,11 +6,142 @@
  * @property {string} HIDDEN - Initial state of a cell, content not visible to player
  * @property {string} REVEALED - Cell has been clicked and its content is visible
  * @property {string} FLAGGED - Cell has been marked with a flag by the player
+ * @property {string} QUESTION - Cell has been marked as "unsure" by the player, it can still be revealed
  */
 export const CELL_STATUS = {
     HIDDEN: 'HIDDEN',
     REVEALED: 'REVEALED', 
-    FLAGGED: 'FLAGGED'
+    FLAGGED: 'FLAGGED',
+    QUESTION: 'QUESTION'
+};
+
+/**
+ * Numeric codes used to store each CELL_STATUS in the typed arrays of a board.
+ * The index of a status in CELL_STATUS_BY_CODE is its code.
+ * 
+ * @readonly
+ * @enum {number}
+ */
+export const CELL_STATUS_CODE = {
+    HIDDEN: 0,
+    REVEALED: 1,
+    FLAGGED: 2,
+    QUESTION: 3
+};
+
+/**
+ * Lookup from numeric status codes back to CELL_STATUS values.
+ * 
+ * @readonly
+ * @type {Array<string>}
+ */
+export const CELL_STATUS_BY_CODE = [
+    CELL_STATUS.HIDDEN,
+    CELL_STATUS.REVEALED,
+    CELL_STATUS.FLAGGED,
+    CELL_STATUS.QUESTION
+];
+
+/**
+ * Enum representing the shape of the cells of a board, which defines their neighbours.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} SQUARE - Classic square cells with 8 neighbours
+ * @property {string} HEX - Hexagonal cells with 6 neighbours, odd rows shifted half a cell
+ */
+export const BOARD_TOPOLOGY = {
+    SQUARE: 'SQUARE',
+    HEX: 'HEX'
+};
+
+/**
+ * Enum representing the outline of a board. Cells outside the outline are "void":
+ * they are not part of the board, never hold mines and are never counted as neighbours.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} RECTANGLE - Every cell of the grid is played
+ * @property {string} CIRCLE - Cells inside the ellipse fitting the grid
+ * @property {string} HEART - Cells inside a heart fitting the grid
+ * @property {string} CROSS - Cells of the middle third rows and columns
+ * @property {string} CUSTOM - Void cells painted by hand
+ */
+export const BOARD_SHAPE = {
+    RECTANGLE: 'RECTANGLE',
+    CIRCLE: 'CIRCLE',
+    HEART: 'HEART',
+    CROSS: 'CROSS',
+    CUSTOM: 'CUSTOM'
+};
+
+/**
+ * Enum representing which cells count as neighbours of a square cell.
+ * Hexagonal boards always use their six touching cells.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} STANDARD - The 8 surrounding cells
+ * @property {string} KNIGHT - The 8 cells a chess knight can jump to
+ * @property {string} RADIUS_2 - The 24 cells of the surrounding 5x5 square
+ * @property {string} ORTHOGONAL - The 4 cells sharing an edge
+ */
+export const NEIGHBOURHOOD = {
+    STANDARD: 'STANDARD',
+    KNIGHT: 'KNIGHT',
+    RADIUS_2: 'RADIUS_2',
+    ORTHOGONAL: 'ORTHOGONAL'
+};
+
+/**
+ * Enum representing what the first click of a game is guaranteed to reveal.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} NONE - No protection, the first click can hit a mine
+ * @property {string} SAFE - The first clicked cell is never a mine
+ * @property {string} OPENING - The first clicked cell and its neighbours are never mines, so it opens an area
+ */
+export const FIRST_CLICK = {
+    NONE: 'NONE',
+    SAFE: 'SAFE',
+    OPENING: 'OPENING'
+};
+
+/**
+ * Enum representing how players play together.
+ * Cooperative games are played as one team; competitive modes pit players against each other,
+ * so assistance such as the mine-probability heatmap is never available in them.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} COOPERATIVE - Every player clears the same board together
+ * @property {string} RACE - Every player clears their own copy of the same board, the fastest wins
+ * @property {string} TEAMS - Two teams clear the same board, scoring for what they reveal and flag
+ * @property {string} TURNS - Players take turns on the same board, in the order they joined
+ * @property {string} TERRITORY - Players claim the cells they reveal on the same board, scoring for each
+ * @property {string} ELIMINATION - Players clear the same board, a player who hits a mine is out and watches the rest
+ */
+export const GAME_MODE = {
+    COOPERATIVE: 'COOPERATIVE',
+    RACE: 'RACE',
+    TEAMS: 'TEAMS',
+    TURNS: 'TURNS',
+    TERRITORY: 'TERRITORY',
+    ELIMINATION: 'ELIMINATION'
+};
+
+/**
+ * Enum representing the teams of a team game.
+ * 
+ * @readonly
+ * @enum {string}
+ * @property {string} RED - Red team
+ * @property {string} BLUE - Blue team
+ */
+export const TEAM = {
+    RED: 'RED',
+    BLUE: 'BLUE'
 };
 
 /**
@@ -30,20 +30,22 @@ const usePeerNetwork = (config = {}) => {
 
     /**
      * Initializes the peer network with user information.
+     * The user is stamped with the time they joined, which orders the players in turn games.
      * Handles connection errors with automatic retry mechanism.
      * 
      * @param {Object} userInfo - User profile information including name and color
      */
     const initializeWithUser = useCallback(async (userInfo) => {
+        const joinedUser = { ...userInfo, joinedAt: userInfo.joinedAt ?? Date.now() };
         try {
-            const id = await network.initialize(userInfo);
-            setUserInfo(userInfo);
+            const id = await network.initialize(joinedUser);
+            setUserInfo(joinedUser);
             setPeerId(id);
             setIsReady(true);
         } catch (error) {
             console.error('Failed to initialize peer network:', error);
             // Retry initialization after 1 second on failure
-            setTimeout(() => initializeWithUser(userInfo), 1000);
+            setTimeout(() => initializeWithUser(joinedUser), 1000);
         }
     }, [network]);
 
@@ -92,8 +94,8 @@ const usePeerNetwork = (config = {}) => {
             setGameConfig(newConfig);
         });
 
-        network.onGameStarted((config, board) => {
-            setGameState({ config, board });
+        network.onGameStarted((config, board, seed) => {
+            setGameState({ config, board, seed });
         });
 
         network.onGameBoardUpdated((state) => {
@@ -132,6 +134,21 @@ const usePeerNetwork = (config = {}) => {
             setPendingActions(prev => [...prev, action]);
         });
 
+        // Undo votes share the queue of cell actions, so a rollback is applied
+        // exactly between the actions received before and after it
+        network.onUndoMessage((message) => {
+            setPendingActions(prev => [...prev, message]);
+        });
+
+        network.onRaceProgress((message) => {
+            setPendingActions(prev => [...prev, message]);
+        });
+
+        // Turns follow the moves that ended them, so they share their queue too
+        network.onTurnState((message) => {
+            setPendingActions(prev => [...prev, message]);
+        });
+
         // Cleanup function for network disconnection
         return () => {
             network.currentGameState = null;
@@ -193,10 +210,11 @@ const usePeerNetwork = (config = {}) => {
     /**
      * Initiates a new game with specified configuration and board state.
      * @param {Object} config - Game configuration
-     * @param {Array} board - Initial game board state
+     * @param {Object} board - Initial game board blueprint
+     * @param {number} seed - Seed shared with all peers for mine placement
      */
-    const startGame = useCallback((config, board) => {
-        network.startGame(config, board);
+    const startGame = useCallback((config, board, seed) => {
+        network.startGame(config, board, seed);
     }, [network]);
 
     /**
@@ -245,6 +263,18 @@ const usePeerNetwork = (config = {}) => {
         network.broadcastCellAction(action);
     }, [network]);
 
+    const broadcastUndoMessage = useCallback((type, undo) => {
+        network.broadcastUndoMessage(type, undo);
+    }, [network]);
+
+    const broadcastRaceProgress = useCallback((progress) => {
+        network.broadcastRaceProgress(progress);
+    }, [network]);
+
+    const broadcastTurnState = useCallback((turn) => {
+        network.broadcastTurnState(turn);
+    }, [network]);
+
     const clearPendingActions = useCallback(() => {
         setPendingActions([]);
     }, []);
@@ -275,6 +305,9 @@ const usePeerNetwork = (config = {}) => {
         addSystemMessage,
         pendingActions,
         broadcastCellAction,
+        broadcastUndoMessage,
+        broadcastRaceProgress,
+        broadcastTurnState,
         clearPendingActions,
         syncBoard,
     };
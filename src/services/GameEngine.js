@@ -0,0 +1,1283 @@
+import { GAME_MODE, GAME_STATUS } from '../constants/gameTypes';
+import {
+    revealCell,
+    chordCell,
+    countExplodedMines,
+    getLivesLeft,
+    hasMinesPlaced,
+    checkWinCondition,
+    revealAllMines,
+    revealAllCells,
+    createBoardBlueprint,
+    applyBoardBlueprint,
+    createEmptyBoard,
+    getBoardLayout,
+    placeMines,
+    generateNoGuessBoard,
+    createTimer,
+    updateTimer,
+    applyCellAction,
+    applyCellActions,
+    compareCellActions,
+    createGameRules,
+    createGameStats,
+    recordGameAction,
+    summarizeGameStats,
+    isCompetitiveMode,
+    getRaceStartCell,
+    getClearedPercentage,
+    rankRacers,
+    createTeamScores,
+    recordTeamAction,
+    createTerritory,
+    recordTerritoryAction,
+    rankTerritory,
+    createTerritoryBlueprint,
+    applyTerritoryBlueprint,
+    recordEliminationAction,
+    CELL_ACTION_TYPES,
+    UNDO_MESSAGE_TYPES,
+    RACE_MESSAGE_TYPES,
+    TURN_MESSAGE_TYPES
+} from '../utils/minesweeperLogic';
+import { findDeducibleCells } from '../utils/minesweeperSolver';
+import { createReplay, recordReplayAction, recordReplayCursor, recordReplayUndo, finishReplay } from '../utils/gameReplay';
+
+// Seconds players have to vote on an undo, votes that didn't arrive count against it
+const UNDO_VOTE_SECONDS = 15;
+
+// Milliseconds other peers wait past an expired vote for the proposer to announce its result
+const UNDO_RESULT_GRACE = 5000;
+
+// The game is kept every CHECKPOINT_INTERVAL actions so a late action never replays the whole history
+const CHECKPOINT_INTERVAL = 50;
+
+/**
+ * Notices sent by the engine about events of the game, for the view to show them
+ * (e.g. as chat messages). Every notice is an object with a type and the fields listed here.
+ *
+ * @readonly
+ * @enum {string}
+ * @property {string} WON - The board was cleared, in team games: { scores }, in territory games: { ranking },
+ *                          in elimination games: { eliminated, survivors }
+ * @property {string} LOST - The team ran out of lives or time, or everyone is out of an elimination game,
+ *                           in team games: { scores }, in territory games: { ranking }, in elimination games: { eliminated, survivors }
+ * @property {string} MINE_HIT - A player hit a mine: { peerId, livesLeft }
+ * @property {string} HINT - A hint was spent: { hint, hintsLeft }
+ * @property {string} NO_DEDUCTION - A hint was asked for but no cell can be deduced
+ * @property {string} NO_GUESS_FALLBACK - No guess-free layout was found in time
+ * @property {string} UNDO_PROPOSED - An undo vote was opened: { vote }
+ * @property {string} UNDO_APPROVED - An undo was approved and the board rolled back: { vote }
+ * @property {string} UNDO_REJECTED - An undo vote was rejected or expired
+ * @property {string} RACE_OVER - Every racer finished or is out: { ranking }
+ */
+export const GAME_NOTICES = {
+    WON: 'WON',
+    LOST: 'LOST',
+    MINE_HIT: 'MINE_HIT',
+    HINT: 'HINT',
+    NO_DEDUCTION: 'NO_DEDUCTION',
+    NO_GUESS_FALLBACK: 'NO_GUESS_FALLBACK',
+    UNDO_PROPOSED: 'UNDO_PROPOSED',
+    UNDO_APPROVED: 'UNDO_APPROVED',
+    UNDO_REJECTED: 'UNDO_REJECTED',
+    RACE_OVER: 'RACE_OVER'
+};
+
+/**
+ * Checks whether a received network message belongs to an undo vote rather than being a cell action.
+ * @param {Object} message - Received message
+ * @returns {boolean} True for undo proposals, votes and results
+ */
+const isUndoMessage = (message) => Object.values(UNDO_MESSAGE_TYPES).includes(message.type);
+
+/**
+ * Decides an undo vote: it is approved by a strict majority of the players who could vote
+ * when it was proposed, the proposer included, and rejected once that majority is out of reach.
+ * @param {Object} vote - Open undo vote, with the votes received so far by peerId
+ * @returns {boolean|null} Whether the undo is approved, or null while undecided
+ */
+const getUndoOutcome = (vote) => {
+    const players = vote.voters.length + 1;
+    const votes = Object.values(vote.votes);
+    const approvals = votes.filter(Boolean).length;
+    const rejections = votes.length - approvals;
+
+    if (approvals * 2 > players) return true;
+    if ((players - rejections) * 2 <= players) return false;
+    return null;
+};
+
+/**
+ * Runs a game of Minesweeper, independently of any user interface or network.
+ *
+ * The engine owns the board, the game status, the timer, the shared hints, the undo votes,
+ * the click statistics and the replay recording. Moves of the local player are made through
+ * reveal, flag, chord and requestHint; they are applied at once and handed to the
+ * onLocalAction callback to be shared, stamped with the time they were made. Actions and undo
+ * messages of other players are applied with receive. Every peer applies the same actions with
+ * the same rules and in the same order, by time (see compareCellActions), so all of them reach
+ * the same board, and each one detects wins and losses on its own. An action arriving after
+ * later ones were applied is slotted into place and the game is rebuilt from the actions.
+ *
+ * In team games every action also scores for the team of the player who made it,
+ * and in territory games the cells it revealed are claimed by that player.
+ * In turn games only the player whose turn it is can move. The turn passes after their reveal
+ * or when the turn runs out of time; their peer passes it and shares it through onTurnState.
+ * The turn of a player who isn't in the game, having left or never connected, is passed on
+ * by the next player in turn order.
+ * In elimination games a player who reveals a mine is out: their moves are no longer played,
+ * and the game goes on until the board is cleared or every player still connected is out.
+ * In races every peer plays its own copy of the board instead: moves stay local, the mines
+ * are placed around a start cell drawn from the seed, and only the progress of each player
+ * is shared, through onRaceProgress and receive.
+ *
+ * Views read the state with getState whenever onChange fires; anything worth telling the
+ * players is sent through onNotice (see GAME_NOTICES).
+ * @class GameEngine
+ */
+class GameEngine {
+    /**
+     * Creates the engine of a game. The game only starts running with start.
+     * @param {Object} options - Game options
+     * @param {Object} options.config - Synced game configuration
+     * @param {number} options.seed - Shared game seed used to generate the mine layout
+     * @param {string} options.peerId - ID of the local player, used to tag their actions
+     * @param {Object} [options.board] - Blueprint of the board in progress, when joining mid-game,
+     *                                   with the team scores in team games, the territory in territory games
+     *                                   and the players out in elimination games
+     * @param {Object} [options.turn] - Turn in progress { player, number }, when joining a turn game mid-game
+     */
+    constructor({ config, seed, peerId, board = null, turn = null }) {
+        this.config = config;
+        this.seed = seed;
+        this.peerId = peerId;
+        // Rules shared by every peer to apply cell actions identically
+        this.rules = createGameRules(config, seed);
+        this.isRace = this.rules.mode === GAME_MODE.RACE;
+        this.isTeams = this.rules.mode === GAME_MODE.TEAMS;
+        this.isTurns = this.rules.mode === GAME_MODE.TURNS;
+        this.isTerritory = this.rules.mode === GAME_MODE.TERRITORY;
+        this.isElimination = this.rules.mode === GAME_MODE.ELIMINATION;
+
+        const emptyBoard = createEmptyBoard(config.width, config.height, getBoardLayout(config));
+        this.board = board?.status ? applyBoardBlueprint(emptyBoard, board) : emptyBoard;
+        this.minesPlaced = hasMinesPlaced(this.board);
+        this.status = GAME_STATUS.PLAYING;
+        this.timer = createTimer(config);
+        this.hintsUsed = 0;
+        this.hintCell = null;
+        this.undoVote = null;
+
+        // Board as it was before the end-of-game reveal, the board shown with it, and the statistics of the game
+        this.finalBoard = null;
+        this.revealedBoard = null;
+        this.finalStats = null;
+        // End reached by the actions applied { status, action }, the one the game last ended with,
+        // and the end-of-game notice the players were given
+        this.ending = null;
+        this.endedBy = null;
+        this.endNotice = null;
+
+        // Cell actions applied since the board the history starts from, in the order of compareCellActions,
+        // to roll back approved undos and rebuild the game when an action arrives late
+        this.history = [];
+        this.actionCount = 0;
+        this.stats = createGameStats();
+        this.scores = board?.scores || createTeamScores();
+        this.territory = board?.territory
+            ? applyTerritoryBlueprint(board.territory, this.board.status.length)
+            : createTerritory(this.board.status.length);
+        // Players out of an elimination game, first out first
+        this.eliminated = board?.eliminated || [];
+        // Board and totals after every CHECKPOINT_INTERVAL actions of the history, from the board it starts from
+        this.checkpoints = [this.createCheckpoint()];
+        // Recording of the game, from the board as it was when this player joined
+        this.replay = createReplay(config, seed, board);
+
+        // Progress of every racer by peerId, the other players connected, and when the race started
+        this.standings = {};
+        this.players = [];
+        this.raceStart = null;
+        this.raceOver = false;
+
+        // Player whose turn it is with the number of turns passed, and when the turn started on this peer
+        this.turn = turn || (this.isTurns ? { player: this.rules.turnOrder[0] || peerId, number: 0 } : null);
+        this.turnStart = Date.now();
+        // Player of every turn this peer knows of by number from the turn it started in,
+        // and moves made in turns it doesn't know of yet
+        this.turnPlayers = this.turn ? { [this.turn.number]: this.turn.player } : {};
+        this.firstTurn = this.turn?.number;
+        this.pendingMoves = [];
+
+        this.timerInterval = null;
+        this.undoTimeout = null;
+
+        // Callback handlers
+        this.onChangeCallback = null;
+        this.onLocalActionCallback = null;
+        this.onUndoMessageCallback = null;
+        this.onNoticeCallback = null;
+        this.onRaceProgressCallback = null;
+        this.onTurnStateCallback = null;
+    }
+
+    /**
+     * Starts the timer, and opens the start cell of a race.
+     * A board received when joining may already be over, which is detected here,
+     * and the first turn may belong to a player who left before the game started.
+     * The other players should be set first (see setPlayers).
+     */
+    start() {
+        if (this.isRace && !this.raceStart) {
+            this.startRace();
+        }
+        this.skipAbsentTurn();
+        if (!this.timerInterval) {
+            this.timerInterval = setInterval(() => this.tick(), 1000);
+        }
+        if (this.undoVote) {
+            this.scheduleUndoExpiry(this.undoVote);
+        }
+        this.checkGameEnd();
+        this.emitChange();
+    }
+
+    /**
+     * Stops the timer and pending vote timeouts. The game can be started again.
+     */
+    destroy() {
+        clearInterval(this.timerInterval);
+        clearTimeout(this.undoTimeout);
+        this.timerInterval = null;
+        this.undoTimeout = null;
+    }
+
+    /**
+     * Advances the timer by one second while the game is in progress.
+     * The game is lost when a countdown reaches zero, and the local player's turn passes when it runs out.
+     */
+    tick() {
+        if (this.status !== GAME_STATUS.PLAYING) return;
+
+        this.timer = updateTimer(this.timer);
+        if (this.isOutOfTime()) {
+            this.endGame(GAME_STATUS.LOST);
+        } else if (this.isTurns && this.turn.player === this.peerId && this.getTurnSecondsLeft() === 0) {
+            this.passTurn();
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Checks whether a countdown timer has run out
+     * @returns {boolean} True if the game ran out of time
+     */
+    isOutOfTime() {
+        return this.timer.isCountdown && this.timer.currentSeconds === 0;
+    }
+
+    /**
+     * Checks whether the local player can move: while the game is in progress, on their turn in turn games
+     * and until they are out of an elimination game
+     * @returns {boolean} True if the local player can move
+     */
+    canPlay() {
+        return this.status === GAME_STATUS.PLAYING && (!this.isTurns || this.turn.player === this.peerId) &&
+            !this.eliminated.includes(this.peerId);
+    }
+
+    /**
+     * Reveals a cell for the local player. The first reveal places the mines.
+     * @param {number} x - X coordinate of the cell
+     * @param {number} y - Y coordinate of the cell
+     * @returns {Object|null} Cell action shared with peers, or null if the local player can't move
+     */
+    reveal(x, y) {
+        if (!this.canPlay()) return null;
+
+        if (this.minesPlaced) {
+            return this.playLocalAction({ action: CELL_ACTION_TYPES.REVEAL, x, y }, revealCell(this.board, x, y));
+        }
+
+        const generated = this.generateMines(x, y);
+
+        // Peers regenerate the same mine layout from the shared seed, attempt and coordinates
+        this.minesPlaced = true;
+        return this.playLocalAction({
+            action: CELL_ACTION_TYPES.FIRST_REVEAL,
+            x,
+            y,
+            attempt: generated.attempt,
+            solvable: generated.solvable
+        }, revealCell(generated.board, x, y));
+    }
+
+    /**
+     * Places the mines around the first revealed cell, with the first-click rule of the game.
+     * @param {number} x - X coordinate of the first revealed cell
+     * @param {number} y - Y coordinate of the first revealed cell
+     * @returns {{ board: Object, attempt: number, solvable: boolean }} Board with mines and how it was generated
+     */
+    generateMines(x, y) {
+        // No-guess search blocks briefly, bounded by the generator's time budget
+        const { rules } = this;
+        const generated = rules.noGuess
+            ? generateNoGuessBoard(this.board, rules.mines, x, y, rules.seed, rules.firstClick)
+            : { board: placeMines(this.board, rules.mines, x, y, rules.seed, 0, rules.firstClick), attempt: 0, solvable: true };
+
+        if (!generated.solvable) {
+            this.notify(GAME_NOTICES.NO_GUESS_FALLBACK);
+        }
+        return generated;
+    }
+
+    /**
+     * Starts a race: every peer opens the same start cell, so all copies of the board
+     * get the same mines. Imported boards already have their mines and start as they are.
+     * The recording starts from the opened board, the opening isn't a move of the player.
+     */
+    startRace() {
+        this.raceStart = Date.now();
+        if (!this.minesPlaced) {
+            const { x, y } = getRaceStartCell(this.board, this.rules.seed);
+            this.board = revealCell(this.generateMines(x, y).board, x, y);
+            this.minesPlaced = true;
+            this.checkpoints = [this.createCheckpoint()];
+            this.replay = createReplay(this.config, this.seed, createBoardBlueprint(this.board));
+        }
+        this.shareProgress();
+    }
+
+    /**
+     * Toggles the flag of a cell for the local player, cycling through question marks when enabled.
+     * With owned flags, flagging a flag placed by someone else disputes it instead.
+     * @param {number} x - X coordinate of the cell
+     * @param {number} y - Y coordinate of the cell
+     * @returns {Object|null} Cell action shared with peers, or null if the local player can't move
+     */
+    flag(x, y) {
+        if (!this.canPlay()) return null;
+        const move = { action: CELL_ACTION_TYPES.FLAG, x, y };
+        return this.playLocalAction(move, applyCellAction(this.board, { ...move, peerId: this.peerId }, this.rules).board);
+    }
+
+    /**
+     * Chords on a revealed number for the local player.
+     * @param {number} x - X coordinate of the revealed number
+     * @param {number} y - Y coordinate of the revealed number
+     * @returns {Object|null} Cell action shared with peers, or null if nothing could be chorded
+     */
+    chord(x, y) {
+        if (!this.canPlay() || !this.minesPlaced) return null;
+
+        const newBoard = chordCell(this.board, x, y);
+        if (newBoard === this.board) return null;
+        return this.playLocalAction({ action: CELL_ACTION_TYPES.CHORD, x, y }, newBoard);
+    }
+
+    /**
+     * Asks the solver for a cell that can be deduced from the revealed numbers,
+     * highlights it and spends one hint from the shared budget, in the order of actions (see spendHint).
+     * Safe cells are preferred over mines since they move the game forward.
+     * @returns {Object|null} Hint action shared with peers, or null if no hint was given
+     */
+    requestHint() {
+        if (!this.canHint()) return null;
+
+        const { safe, mines } = findDeducibleCells(this.board, this.rules.mines);
+        let hint = null;
+        if (safe.length > 0) {
+            hint = { ...safe[0], kind: 'safe' };
+        } else if (mines.length > 0) {
+            hint = { ...mines[0], kind: 'mine' };
+        }
+
+        if (!hint) {
+            this.notify(GAME_NOTICES.NO_DEDUCTION);
+            return null;
+        }
+
+        const action = this.createLocalAction({ action: CELL_ACTION_TYPES.HINT, ...hint });
+        this.shareAction(action);
+        this.placeAction({ ...action, peerId: this.peerId });
+        this.emitChange();
+        return action;
+    }
+
+    /**
+     * Checks whether the local player can spend a hint
+     * @returns {boolean} True while the local player can move and hints are left
+     */
+    canHint() {
+        return this.canPlay() && this.minesPlaced && this.hintsUsed < this.rules.hints;
+    }
+
+    /**
+     * Applies cell actions, undo vote messages, race progress and turn changes received from peers,
+     * in arrival order. Once the game is won undo votes are dropped, and turn changes once it is over.
+     * Cell actions are still slotted in after the end, as one made before the action that ended
+     * the game can change how it ended (see placeAction), except once the game ran out of time.
+     * In turn games, moves are checked against the turn they were made in (see isTurnMove),
+     * and those made in a turn this peer wasn't told about yet wait for it.
+     * @param {Array<Object>} messages - Cell actions, undo, race and turn messages, tagged with the peerId of their sender
+     */
+    receive(messages) {
+        messages.forEach(message => this.receiveMessage(message));
+
+        this.checkGameEnd();
+        this.emitChange();
+    }
+
+    /**
+     * Applies one message received from a peer, see receive
+     * @param {Object} message - Cell action, undo, race or turn message, tagged with the peerId of its sender
+     */
+    receiveMessage(message) {
+        if (message.type === RACE_MESSAGE_TYPES.PROGRESS) {
+            this.receiveProgress(message);
+            return;
+        }
+        if (isUndoMessage(message)) {
+            if (this.status !== GAME_STATUS.WON) {
+                this.receiveUndoMessage(message);
+            }
+            return;
+        }
+        if (message.type === TURN_MESSAGE_TYPES.STATE) {
+            if (this.status === GAME_STATUS.PLAYING) {
+                this.receiveTurn(message);
+            }
+            return;
+        }
+        if (this.isOutOfTime()) return;
+        if (this.isTurns) {
+            const isTurnMove = this.isTurnMove(message);
+            if (isTurnMove === null) {
+                this.pendingMoves.push(message);
+                return;
+            }
+            if (!isTurnMove) return;
+        }
+
+        if (message.solvable === false) {
+            this.notify(GAME_NOTICES.NO_GUESS_FALLBACK);
+        }
+        this.placeAction(message);
+    }
+
+    /**
+     * Records a cursor position of a player in the replay.
+     * @param {string} peerId - Player the cursor belongs to
+     * @param {Object} position - Normalized cursor position { x, y, isInCanvas }
+     */
+    recordCursor(peerId, position) {
+        recordReplayCursor(this.replay, peerId, position);
+    }
+
+    /**
+     * Checks whether the local player can propose undoing the last action:
+     * only in cooperative games, one vote at a time, and a game lost on time can't be taken back.
+     * @returns {boolean} True if an undo can be proposed
+     */
+    canProposeUndo() {
+        const lastAction = this.history[this.findLastPlayedAction()];
+        return !isCompetitiveMode(this.rules.mode) && !this.undoVote && Boolean(lastAction?.id) &&
+            (this.status === GAME_STATUS.PLAYING || (this.status === GAME_STATUS.LOST && !this.isOutOfTime()));
+    }
+
+    /**
+     * Finds the last action of the history played on the board, which an undo takes back:
+     * the one that ended the game once it is over, the last move otherwise. Hints spent after it go with it.
+     * @returns {number} Index of the action in the history, -1 if there is none
+     */
+    findLastPlayedAction() {
+        if (this.ending?.action) return this.history.indexOf(this.ending.action);
+
+        let index = this.history.length - 1;
+        while (index >= 0 && this.history[index].action === CELL_ACTION_TYPES.HINT) {
+            index--;
+        }
+        return index;
+    }
+
+    /**
+     * Proposes undoing the last action applied on this peer. The proposal carries the board
+     * as it was before that action, which every peer rolls back to if the team approves.
+     * @param {Array<string>} voters - IDs of the peers who can vote
+     */
+    proposeUndo(voters) {
+        if (!this.canProposeUndo()) return;
+
+        const index = this.findLastPlayedAction();
+        const lastAction = this.history[index];
+        const checkpoint = Math.floor(index / CHECKPOINT_INTERVAL);
+        const boardBefore = applyCellActions(
+            this.checkpoints[checkpoint].board,
+            this.history.slice(checkpoint * CHECKPOINT_INTERVAL, index),
+            this.rules
+        );
+        const proposal = {
+            id: this.nextActionId(),
+            actionId: lastAction.id,
+            action: { action: lastAction.action, x: lastAction.x, y: lastAction.y, peerId: lastAction.peerId },
+            board: createBoardBlueprint(boardBefore),
+            voters
+        };
+        this.sendUndoMessage(UNDO_MESSAGE_TYPES.PROPOSAL, proposal);
+
+        const vote = {
+            ...proposal,
+            peerId: this.peerId,
+            votes: { [this.peerId]: true },
+            expiresAt: Date.now() + UNDO_VOTE_SECONDS * 1000
+        };
+        this.notify(GAME_NOTICES.UNDO_PROPOSED, { vote });
+
+        // Playing alone, the proposer is the majority
+        if (getUndoOutcome(vote)) {
+            this.sendUndoMessage(UNDO_MESSAGE_TYPES.RESULT, { id: vote.id, approved: true });
+            this.rollBack(vote);
+        } else {
+            this.openUndoVote(vote);
+        }
+        this.emitChange();
+    }
+
+    /**
+     * Votes on the open undo proposal for the local player
+     * @param {boolean} approve - Whether this player wants the action undone
+     */
+    voteUndo(approve) {
+        const vote = this.undoVote;
+        if (!vote || !vote.voters.includes(this.peerId) || vote.votes[this.peerId] !== undefined) return;
+
+        this.sendUndoMessage(UNDO_MESSAGE_TYPES.VOTE, { id: vote.id, approve });
+        this.undoVote = { ...vote, votes: { ...vote.votes, [this.peerId]: approve } };
+        this.emitChange();
+    }
+
+    /**
+     * Returns the state of the game, for views to render.
+     * @returns {Object} Board, status, timer, hints, undo vote, race standings, team scores, turn, territory,
+     *                   players out and end-of-game results
+     */
+    getState() {
+        return {
+            board: this.revealedBoard || this.board,
+            status: this.status,
+            timer: this.timer,
+            minesPlaced: this.minesPlaced,
+            livesLeft: getLivesLeft(this.board, this.rules),
+            hintsUsed: this.hintsUsed,
+            hintCell: this.hintCell,
+            canHint: this.canHint(),
+            undoVote: this.undoVote,
+            canProposeUndo: this.canProposeUndo(),
+            finalBoard: this.finalBoard,
+            finalStats: this.finalStats,
+            standings: rankRacers(this.standings),
+            raceOver: this.raceOver,
+            scores: this.isTeams ? this.scores : null,
+            turn: this.isTurns ? { player: this.turn.player, secondsLeft: this.getTurnSecondsLeft() } : null,
+            territory: this.isTerritory ? { claims: this.territory.claims, ranking: rankTerritory(this.territory) } : null,
+            elimination: this.isElimination ? this.getElimination() : null
+        };
+    }
+
+    /**
+     * Creates the blueprint of the board for players joining mid-game,
+     * with the team scores in team games, the territory in territory games and the players out in elimination games.
+     * @returns {Object} Board blueprint
+     */
+    createBlueprint() {
+        const blueprint = createBoardBlueprint(this.board);
+        if (this.isTeams) return { ...blueprint, scores: this.scores };
+        if (this.isTerritory) return { ...blueprint, territory: createTerritoryBlueprint(this.territory) };
+        if (this.isElimination) return { ...blueprint, eliminated: this.eliminated };
+        return blueprint;
+    }
+
+    /**
+     * Creates the ID of a local cell action, unique across peers so undo votes can refer to it.
+     * @returns {string} Action ID
+     */
+    nextActionId() {
+        return `${this.peerId}-${this.actionCount++}`;
+    }
+
+    /**
+     * Stamps a move of the local player with its ID and the time it was made,
+     * and in turn games with the number of the turn it was made in
+     * @param {Object} move - Cell action of the local player
+     * @returns {Object} Cell action to share with peers
+     */
+    createLocalAction(move) {
+        const action = { id: this.nextActionId(), time: Date.now(), ...move };
+        return this.isTurns ? { ...action, turn: this.turn.number } : action;
+    }
+
+    /**
+     * Applies a move of the local player and shares it with peers, see createLocalAction.
+     * In turn games a reveal ends the turn, flags don't.
+     * @param {Object} move - Cell action without its ID
+     * @param {Object} newBoard - Board after the move
+     * @returns {Object} Cell action shared with peers
+     */
+    playLocalAction(move, newBoard) {
+        const action = this.createLocalAction(move);
+        this.shareAction(action);
+
+        this.placeAction({ ...action, peerId: this.peerId }, newBoard);
+        this.checkGameEnd();
+        this.shareProgress();
+        if (this.isTurns && this.status === GAME_STATUS.PLAYING && move.action !== CELL_ACTION_TYPES.FLAG) {
+            this.passTurn();
+        }
+        this.emitChange();
+        return action;
+    }
+
+    /**
+     * Shares a cell action of the local player with peers.
+     * Racers play their own copy of the board, their moves stay local.
+     * @param {Object} action - Cell action
+     */
+    shareAction(action) {
+        if (!this.isRace && this.onLocalActionCallback) {
+            this.onLocalActionCallback(action);
+        }
+    }
+
+    /**
+     * Applies a cell action in its place among the actions applied so far (see compareCellActions).
+     * An action made after all of them is applied on the current board. One made before some of them,
+     * which took longer to arrive, is slotted in and the board and totals are rebuilt from the checkpoint
+     * before it, so every peer ends up with the same game whatever order the actions arrived in.
+     * That goes on once the game is over: an action made before the one that ended it can change
+     * the results, or the way it ended, see checkGameEnd. Actions made after it are only kept.
+     * @param {Object} action - Cell action, tagged with the peerId of the player who made it
+     * @param {Object} [newBoard] - Board after the action, when already worked out by the local player
+     */
+    placeAction(action, newBoard) {
+        let index = this.history.length;
+        while (index > 0 && compareCellActions(this.history[index - 1], action) > 0) {
+            index--;
+        }
+        this.history.splice(index, 0, action);
+        recordReplayAction(this.replay, action);
+
+        if (index === this.history.length - 1) {
+            this.playAction(action, newBoard, true);
+            this.saveCheckpoint();
+        } else if (!this.ending || (this.ending.action && compareCellActions(action, this.ending.action) < 0)) {
+            this.rebuildHistory(index);
+        }
+    }
+
+    /**
+     * Plays a cell action of the history on the board and records it in the totals, then notes when it ends the game.
+     * Actions of players already out of an elimination game, and every action once the game ended, are only
+     * kept in the history: a late action made before can still change who went out or when the game ended.
+     * @param {Object} action - Cell action, tagged with the peerId of the player who made it
+     * @param {Object} [newBoard] - Board after the action, worked out from the current board when missing
+     * @param {boolean} [notify=false] - Whether to tell the view when the action hits a mine
+     */
+    playAction(action, newBoard, notify = false) {
+        if (this.ending || this.eliminated.includes(action.peerId)) return;
+        if (action.action === CELL_ACTION_TYPES.HINT) {
+            this.spendHint(action, notify);
+            return;
+        }
+
+        const before = this.board;
+        this.board = newBoard || applyCellActions(before, [action], this.rules);
+        this.minesPlaced = this.minesPlaced || hasMinesPlaced(this.board);
+        this.recordAction(action, before, this.board);
+        if (notify) {
+            this.notifyMineHit(action, before, this.board);
+        }
+
+        const status = this.getEndStatus();
+        if (status) {
+            this.ending = { status, action };
+        }
+    }
+
+    /**
+     * Rebuilds the board and the totals by playing the actions of the history in order from the last
+     * checkpoint before an action slotted into it, or before the end of a history cut short.
+     * Later checkpoints are taken again.
+     * @param {number} inserted - Index of the action just slotted into the history, whose mine hit is told to the view,
+     *                            or length of the history cut short
+     */
+    rebuildHistory(inserted) {
+        const checkpoint = Math.floor(inserted / CHECKPOINT_INTERVAL);
+        this.checkpoints = this.checkpoints.slice(0, checkpoint + 1);
+        this.restoreCheckpoint(this.checkpoints[checkpoint]);
+
+        for (let index = checkpoint * CHECKPOINT_INTERVAL; index < this.history.length; index++) {
+            this.playAction(this.history[index], null, index === inserted);
+            this.saveCheckpoint(index + 1);
+        }
+    }
+
+    /**
+     * Records a cell action in the game statistics, the team scores, the territory and the players out
+     * @param {Object} action - Cell action, tagged with the peerId of the player who made it
+     * @param {Object} before - Board before the action
+     * @param {Object} after - Board after the action
+     */
+    recordAction(action, before, after) {
+        this.stats = recordGameAction(this.stats, action, before, after);
+        if (this.isTeams) {
+            this.scores = recordTeamAction(this.scores, action, before, after, this.rules.teams);
+        }
+        if (this.isTerritory) {
+            this.territory = recordTerritoryAction(this.territory, action, before, after);
+        }
+        if (this.isElimination) {
+            this.eliminated = recordEliminationAction(this.eliminated, action, before, after);
+        }
+    }
+
+    /**
+     * Keeps the board and the totals derived from the actions applied, which are rebuilt along with it
+     * @returns {Object} Board, whether its mines are placed, how the game ended, hints spent, game statistics,
+     *                   team scores, territory and players out
+     */
+    createCheckpoint() {
+        return {
+            board: this.board,
+            minesPlaced: this.minesPlaced,
+            ending: this.ending,
+            hintsUsed: this.hintsUsed,
+            hintCell: this.hintCell,
+            stats: this.stats,
+            scores: this.scores,
+            territory: this.territory,
+            eliminated: this.eliminated
+        };
+    }
+
+    /**
+     * Keeps a checkpoint once the history reaches a multiple of CHECKPOINT_INTERVAL actions
+     * @param {number} [count] - Number of actions of the history applied, all of them by default
+     */
+    saveCheckpoint(count = this.history.length) {
+        if (count % CHECKPOINT_INTERVAL === 0) {
+            this.checkpoints[count / CHECKPOINT_INTERVAL] = this.createCheckpoint();
+        }
+    }
+
+    /**
+     * Goes back to the board and the totals of a checkpoint
+     * @param {Object} checkpoint - Checkpoint, see createCheckpoint
+     */
+    restoreCheckpoint(checkpoint) {
+        this.board = checkpoint.board;
+        this.minesPlaced = checkpoint.minesPlaced;
+        this.ending = checkpoint.ending;
+        this.hintsUsed = checkpoint.hintsUsed;
+        this.hintCell = checkpoint.hintCell;
+        this.stats = checkpoint.stats;
+        this.scores = checkpoint.scores;
+        this.territory = checkpoint.territory;
+        this.eliminated = checkpoint.eliminated;
+    }
+
+    /**
+     * Tells the view that a cell action hit a mine.
+     * Lives come from the exploded mines on the board, so every peer counts the same.
+     * @param {Object} action - Cell action, tagged with the peerId of the player who made it
+     * @param {Object} before - Board before the action
+     * @param {Object} after - Board after the action
+     */
+    notifyMineHit(action, before, after) {
+        if (countExplodedMines(after) !== countExplodedMines(before)) {
+            this.notify(GAME_NOTICES.MINE_HIT, { peerId: action.peerId, livesLeft: getLivesLeft(after, this.rules) });
+        }
+    }
+
+    /**
+     * Spends one hint from the shared budget and highlights the hinted cell.
+     * Hints are spent in the order of actions like any move, so when players ask at the same time
+     * every peer gives the same ones and drops the ones past the budget.
+     * @param {Object} action - Hint action { x, y, kind }, tagged with the peerId of the player who asked
+     * @param {boolean} notify - Whether to tell the view about the hint
+     */
+    spendHint(action, notify) {
+        if (this.hintsUsed >= this.rules.hints) return;
+
+        const hint = { x: action.x, y: action.y, kind: action.kind };
+        this.hintsUsed++;
+        this.hintCell = hint;
+        if (notify) {
+            this.notify(GAME_NOTICES.HINT, { hint, hintsLeft: Math.max(0, this.rules.hints - this.hintsUsed) });
+        }
+    }
+
+    /**
+     * Finds whether the actions applied end the game: lost once the team is out of lives
+     * or everyone is out of an elimination game, won once the board is cleared
+     * @returns {string|null} GAME_STATUS.WON or GAME_STATUS.LOST, or null while the game goes on
+     */
+    getEndStatus() {
+        if (!this.minesPlaced) return null;
+
+        const isOut = this.isElimination
+            ? this.getElimination().survivors.length === 0
+            : getLivesLeft(this.board, this.rules) === 0;
+        if (isOut) return GAME_STATUS.LOST;
+        return checkWinCondition(this.board) ? GAME_STATUS.WON : null;
+    }
+
+    /**
+     * Brings the status of the game in line with the end reached by the actions applied (see playAction).
+     * The game ends when it is reached, ends again with the new results when a late action changed it,
+     * and goes back to play when a late action means it never ended, e.g. by putting out of an elimination game
+     * the player whose move cleared the board. Boards joined when already over and elimination games
+     * only players out are left in end here too.
+     */
+    checkGameEnd() {
+        if (!this.ending && this.status === GAME_STATUS.PLAYING) {
+            const status = this.getEndStatus();
+            if (status) {
+                this.ending = { status, action: this.history[this.history.length - 1] || null };
+            }
+        }
+
+        if (this.ending && this.ending !== this.endedBy) {
+            this.endedBy = this.ending;
+            this.endGame(this.ending.status);
+        } else if (!this.ending && this.status !== GAME_STATUS.PLAYING && !this.isOutOfTime()) {
+            this.resumeGame();
+        }
+    }
+
+    /**
+     * Ends the game, revealing the mines of a lost game or the whole board of a won game.
+     * The players are only told again when a late action changed the results.
+     * @param {string} status - GAME_STATUS.WON or GAME_STATUS.LOST
+     */
+    endGame(status) {
+        this.status = status;
+        this.finalStats = summarizeGameStats(this.stats);
+        this.finalBoard = this.board;
+        finishReplay(this.replay);
+        this.revealedBoard = status === GAME_STATUS.WON ? revealAllCells(this.board) : revealAllMines(this.board);
+        let results = {};
+        if (this.isTeams) {
+            results = { scores: this.scores };
+        } else if (this.isTerritory) {
+            results = { ranking: rankTerritory(this.territory) };
+        } else if (this.isElimination) {
+            results = this.getElimination();
+        }
+
+        const notice = JSON.stringify({ status, results });
+        if (notice !== this.endNotice) {
+            this.endNotice = notice;
+            this.notify(status === GAME_STATUS.WON ? GAME_NOTICES.WON : GAME_NOTICES.LOST, results);
+        }
+        this.shareProgress();
+    }
+
+    /**
+     * Takes a game that ended back to play, after an approved undo or a late action that means it never ended
+     */
+    resumeGame() {
+        if (this.status === GAME_STATUS.PLAYING) return;
+
+        this.status = GAME_STATUS.PLAYING;
+        this.ending = null;
+        this.endedBy = null;
+        this.endNotice = null;
+        this.finalStats = null;
+        this.finalBoard = null;
+        this.revealedBoard = null;
+    }
+
+    /**
+     * Opens an undo vote and closes it once it runs out of time
+     * @param {Object} vote - Undo vote
+     */
+    openUndoVote(vote) {
+        this.undoVote = vote;
+        this.scheduleUndoExpiry(vote);
+    }
+
+    /**
+     * Closes an undo vote that runs out of time: the proposer rejects it, and other peers
+     * drop it a bit later in case the proposer left without announcing the result.
+     * @param {Object} vote - Open undo vote
+     */
+    scheduleUndoExpiry(vote) {
+        clearTimeout(this.undoTimeout);
+
+        const isProposer = vote.peerId === this.peerId;
+        const delay = vote.expiresAt - Date.now() + (isProposer ? 0 : UNDO_RESULT_GRACE);
+        this.undoTimeout = setTimeout(() => {
+            if (this.undoVote?.id !== vote.id) return;
+            if (isProposer) {
+                this.sendUndoMessage(UNDO_MESSAGE_TYPES.RESULT, { id: vote.id, approved: false });
+                this.notify(GAME_NOTICES.UNDO_REJECTED);
+            }
+            this.closeUndoVote();
+            this.emitChange();
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * Closes the open undo vote
+     */
+    closeUndoVote() {
+        clearTimeout(this.undoTimeout);
+        this.undoTimeout = null;
+        this.undoVote = null;
+    }
+
+    /**
+     * Applies an undo vote message received from a peer to the open vote.
+     * Only the proposer counts votes and announces the result; everyone rolls back on it.
+     * @param {Object} message - Undo proposal, vote or result, tagged with its type and sender
+     */
+    receiveUndoMessage(message) {
+        const { type, peerId: senderId } = message;
+        const vote = this.undoVote;
+
+        if (type === UNDO_MESSAGE_TYPES.PROPOSAL) {
+            // Only one vote at a time, later proposals are dropped by every peer
+            if (vote) return;
+            const proposal = {
+                id: message.id,
+                actionId: message.actionId,
+                action: message.action,
+                board: message.board,
+                voters: message.voters,
+                peerId: senderId,
+                votes: { [senderId]: true },
+                expiresAt: Date.now() + UNDO_VOTE_SECONDS * 1000
+            };
+            this.notify(GAME_NOTICES.UNDO_PROPOSED, { vote: proposal });
+            this.openUndoVote(proposal);
+            return;
+        }
+
+        if (!vote || vote.id !== message.id) return;
+
+        if (type === UNDO_MESSAGE_TYPES.VOTE) {
+            if (!vote.voters.includes(senderId)) return;
+            this.undoVote = { ...vote, votes: { ...vote.votes, [senderId]: message.approve } };
+            const outcome = vote.peerId === this.peerId ? getUndoOutcome(this.undoVote) : null;
+            if (outcome === null) return;
+
+            this.sendUndoMessage(UNDO_MESSAGE_TYPES.RESULT, { id: vote.id, approved: outcome });
+            this.closeUndoVote();
+            if (outcome) {
+                this.rollBack(vote);
+            } else {
+                this.notify(GAME_NOTICES.UNDO_REJECTED);
+            }
+            return;
+        }
+
+        // Results only count when they come from the proposer
+        if (senderId !== vote.peerId) return;
+        this.closeUndoVote();
+        if (message.approved) {
+            this.rollBack(vote);
+        } else {
+            this.notify(GAME_NOTICES.UNDO_REJECTED);
+        }
+    }
+
+    /**
+     * Rolls the board back as approved in an undo vote, resuming a lost game.
+     * Every peer takes the board sent by the proposer, so all boards match whatever order
+     * the actions arrived in. The undone action and the ones after it leave the history and the totals,
+     * and the history starts again from that board: actions arriving late are played on it.
+     * @param {Object} vote - Approved undo vote
+     */
+    rollBack(vote) {
+        const index = this.history.findIndex(action => action.id === vote.actionId);
+        if (index >= 0) {
+            this.history = this.history.slice(0, index);
+            this.rebuildHistory(index);
+        }
+
+        const emptyBoard = createEmptyBoard(this.config.width, this.config.height, getBoardLayout(this.config));
+        this.board = applyBoardBlueprint(emptyBoard, vote.board);
+        this.minesPlaced = hasMinesPlaced(this.board);
+        this.ending = null;
+        this.history = [];
+        this.checkpoints = [this.createCheckpoint()];
+
+        recordReplayUndo(this.replay, vote.peerId, vote.board);
+        this.notify(GAME_NOTICES.UNDO_APPROVED, { vote });
+        this.resumeGame();
+    }
+
+    /**
+     * Updates the progress of the local racer and shares it with peers when it changed.
+     * The finish time is counted from the start of the race, whether the player cleared
+     * the board or ran out of lives or time.
+     * @param {boolean} [force=false] - Whether to share the progress even if it didn't change
+     */
+    shareProgress(force = false) {
+        if (!this.isRace) return;
+
+        const previous = this.standings[this.peerId];
+        // The end-of-game reveal would count the whole board as cleared
+        const cleared = getClearedPercentage(this.finalBoard || this.board);
+        const changed = !previous || previous.cleared !== cleared || previous.status !== this.status;
+        if (changed) {
+            const time = this.status === GAME_STATUS.PLAYING ? null : Date.now() - this.raceStart;
+            this.standings[this.peerId] = { cleared, status: this.status, time };
+            this.checkRaceEnd();
+        }
+        if ((changed || force) && this.onRaceProgressCallback) {
+            this.onRaceProgressCallback(this.standings[this.peerId]);
+        }
+    }
+
+    /**
+     * Updates the standings with the progress shared by another racer
+     * @param {Object} message - Race progress { cleared, status, time }, tagged with its sender
+     */
+    receiveProgress(message) {
+        if (!this.isRace) return;
+
+        const { cleared, status, time } = message;
+        this.standings[message.peerId] = { cleared, status, time };
+        this.checkRaceEnd();
+    }
+
+    /**
+     * Sets the other players taking part in the game, as peers connect and disconnect.
+     * Racers who left are no longer waited for, and new ones are told the local progress.
+     * The turn of a player who isn't connected is skipped, and an elimination game ends if only players out are left.
+     * @param {Array<string>} peerIds - IDs of the peers currently connected
+     */
+    setPlayers(peerIds) {
+        const joined = peerIds.some(id => !this.players.includes(id));
+        const left = this.players.filter(id => !peerIds.includes(id));
+        this.players = peerIds;
+        if (this.skipAbsentTurn()) {
+            this.emitChange();
+        }
+        if (this.isElimination && left.length > 0) {
+            this.checkGameEnd();
+            this.emitChange();
+        }
+        if (!this.isRace || !this.raceStart) return;
+
+        if (joined) {
+            this.shareProgress(true);
+        }
+        this.checkRaceEnd();
+        this.emitChange();
+    }
+
+    /**
+     * Ends the race once the local player and every connected racer finished or are out
+     */
+    checkRaceEnd() {
+        if (this.raceOver || this.status === GAME_STATUS.PLAYING) return;
+
+        const racing = this.players.some(id => !this.standings[id] || this.standings[id].status === GAME_STATUS.PLAYING);
+        if (racing) return;
+
+        this.raceOver = true;
+        this.notify(GAME_NOTICES.RACE_OVER, { ranking: rankRacers(this.standings) });
+    }
+
+    /**
+     * Checks whether a player is still in the game
+     * @param {string} peerId - ID of the player
+     * @returns {boolean} True for the local player and connected peers
+     */
+    isPresent(peerId) {
+        return peerId === this.peerId || this.players.includes(peerId);
+    }
+
+    /**
+     * Gets who is out of an elimination game and who is still in it, among the players still connected
+     * @returns {{ eliminated: Array<string>, survivors: Array<string> }} Players out, first out first, and the others
+     */
+    getElimination() {
+        const survivors = [this.peerId, ...this.players].filter(id => !this.eliminated.includes(id));
+        return { eliminated: this.eliminated, survivors };
+    }
+
+    /**
+     * Gets the seconds left in the current turn, as counted on this peer
+     * @returns {number} Seconds left, 0 once the turn ran out
+     */
+    getTurnSecondsLeft() {
+        const elapsed = Math.floor((Date.now() - this.turnStart) / 1000);
+        return Math.max(0, this.rules.turnSeconds - elapsed);
+    }
+
+    /**
+     * Finds the next player in turn order who is still in the game
+     * @returns {string} peerId of the player the turn passes to, the local player if no one else is left
+     */
+    getNextTurnPlayer() {
+        const order = this.rules.turnOrder;
+        const current = order.indexOf(this.turn.player);
+        for (let step = 1; step <= order.length; step++) {
+            const candidate = order[(current + step) % order.length];
+            if (this.isPresent(candidate)) return candidate;
+        }
+        return this.peerId;
+    }
+
+    /**
+     * Passes the turn to the next player in turn order who is still in the game, and shares it.
+     */
+    passTurn() {
+        this.setTurn({ player: this.getNextTurnPlayer(), number: this.turn.number + 1 });
+        if (this.onTurnStateCallback) {
+            this.onTurnStateCallback(this.turn);
+        }
+    }
+
+    /**
+     * Passes on the turn of a player who isn't in the game, having left or never connected to this peer.
+     * Only the player it passes to does, the others wait for their turn message: peers joining mid-game
+     * may not be connected to everyone yet, and take no turns, so they never skip anyone.
+     * @returns {boolean} True if the turn was passed
+     */
+    skipAbsentTurn() {
+        if (!this.isTurns || this.status !== GAME_STATUS.PLAYING || this.isPresent(this.turn.player)) return false;
+        if (this.getNextTurnPlayer() !== this.peerId) return false;
+
+        this.passTurn();
+        return true;
+    }
+
+    /**
+     * Takes a turn passed by a peer, unless this peer already moved past it,
+     * then applies the moves that were waiting for it
+     * @param {Object} message - Turn { player, number }, tagged with its sender
+     */
+    receiveTurn(message) {
+        if (!this.isTurns) return;
+
+        this.turnPlayers[message.number] = message.player;
+        if (message.number > this.turn.number) {
+            this.setTurn({ player: message.player, number: message.number });
+            this.skipAbsentTurn();
+        }
+
+        const pendingMoves = this.pendingMoves;
+        this.pendingMoves = [];
+        pendingMoves.forEach(move => this.receiveMessage(move));
+    }
+
+    /**
+     * Checks that a move was made on the turn of its player, by the number of the turn it was made in:
+     * the move can arrive before the message passing that turn, even after later turns were passed.
+     * Moves made before the turn a joining peer started in are already on the board it received.
+     * @param {Object} move - Cell action, tagged with the peerId of the player who made it
+     * @returns {boolean|null} Whether the move was made on its player's turn,
+     *                         null if it was made in a turn this peer doesn't know of yet
+     */
+    isTurnMove(move) {
+        const player = this.turnPlayers[move.turn];
+        if (player) return player === move.peerId;
+        return move.turn > this.firstTurn ? null : false;
+    }
+
+    /**
+     * Starts a turn, restarting its countdown
+     * @param {Object} turn - Player whose turn it is and the number of the turn { player, number }
+     */
+    setTurn(turn) {
+        this.turn = turn;
+        this.turnPlayers[turn.number] = turn.player;
+        this.turnStart = Date.now();
+    }
+
+    /**
+     * Shares an undo vote message with peers
+     * @param {string} type - One of UNDO_MESSAGE_TYPES
+     * @param {Object} undo - Message contents
+     */
+    sendUndoMessage(type, undo) {
+        if (this.onUndoMessageCallback) {
+            this.onUndoMessageCallback(type, undo);
+        }
+    }
+
+    /**
+     * Sends a notice to the view
+     * @param {string} type - One of GAME_NOTICES
+     * @param {Object} [details] - Fields of the notice
+     */
+    notify(type, details = {}) {
+        if (this.onNoticeCallback) {
+            this.onNoticeCallback({ type, ...details });
+        }
+    }
+
+    /**
+     * Tells the view that the state changed
+     */
+    emitChange() {
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getState());
+        }
+    }
+
+    /**
+     * Registers callback for state changes, called with the new state (see getState)
+     * @param {Function} callback - Function to call when the state changes
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Registers callback for the moves of the local player, to share them with peers
+     * @param {Function} callback - Function to call with every local cell action
+     */
+    onLocalAction(callback) {
+        this.onLocalActionCallback = callback;
+    }
+
+    /**
+     * Registers callback for undo vote messages to share with peers
+     * @param {Function} callback - Function to call with the message type and contents
+     */
+    onUndoMessage(callback) {
+        this.onUndoMessageCallback = callback;
+    }
+
+    /**
+     * Registers callback for the progress of the local racer, to share it with peers
+     * @param {Function} callback - Function to call with the progress { cleared, status, time }
+     */
+    onRaceProgress(callback) {
+        this.onRaceProgressCallback = callback;
+    }
+
+    /**
+     * Registers callback for the turns passed on by this peer, to share them with peers
+     * @param {Function} callback - Function to call with the new turn { player, number }
+     */
+    onTurnState(callback) {
+        this.onTurnStateCallback = callback;
+    }
+
+    /**
+     * Registers callback for game notices (see GAME_NOTICES)
+     * @param {Function} callback - Function to call with every notice
+     */
+    onNotice(callback) {
+        this.onNoticeCallback = callback;
+    }
+}
+
+export default GameEngine;
@@ -0,0 +1,387 @@
+import GameEngine from './GameEngine';
+import { CELL_STATUS_CODE, GAME_MODE, GAME_STATUS, TEAM } from '../constants/gameTypes';
+import {
+    createBoardBlueprint,
+    createEmptyBoard,
+    getBoardLayout,
+    TEAM_SCORING,
+    UNDO_MESSAGE_TYPES
+} from '../utils/minesweeperLogic';
+
+const BASE_CONFIG = {
+    mode: GAME_MODE.COOPERATIVE,
+    width: 8,
+    height: 8,
+    bombs: 10,
+    lives: 3,
+    timer: { enabled: false, minutes: 0, seconds: 0 }
+};
+
+/**
+ * Creates the engines of every player of a game, wired like peers: every message an engine sends
+ * waits in the outbox of its receiver until delivered, so tests choose the order they arrive in.
+ *
+ * @param {Object} [options] - Configuration fields to override, and the players
+ * @returns {Object} Engines by peerId, and deliver(from, to) to hand over the messages waiting
+ */
+const createGame = ({ players = ['a', 'b'], ...options } = {}) => {
+    const config = { ...BASE_CONFIG, ...options };
+    const board = createBoardBlueprint(createEmptyBoard(config.width, config.height, getBoardLayout(config)));
+    const engines = {};
+    const outboxes = {};
+
+    players.forEach(peerId => {
+        const engine = new GameEngine({ config, seed: 7, peerId, board });
+        const others = players.filter(other => other !== peerId);
+        const send = message => others.forEach(other => {
+            outboxes[`${peerId}>${other}`].push({ ...message, peerId });
+        });
+        others.forEach(other => {
+            outboxes[`${peerId}>${other}`] = [];
+        });
+
+        engine.onLocalAction(send);
+        engine.onTurnState(turn => send({ ...turn, type: 'TURN_STATE' }));
+        engine.onUndoMessage((type, undo) => send({ ...undo, type }));
+        engine.setPlayers(others);
+        engines[peerId] = engine;
+    });
+
+    const deliver = (from, to) => {
+        engines[to].receive(outboxes[`${from}>${to}`].splice(0));
+    };
+    return { engines, deliver };
+};
+
+/**
+ * Finds the cells of a board matching a condition.
+ *
+ * @param {Object} board - Game board
+ * @param {Function} matches - Condition on the index of a cell
+ * @returns {Array<Object>} Coordinates { x, y } of the matching cells
+ */
+const findCells = (board, matches) => [...board.status.keys()]
+    .filter(index => matches(index))
+    .map(index => ({ x: index % board.width, y: Math.floor(index / board.width) }));
+
+const findHiddenSafeCells = (board) => findCells(board, index =>
+    board.status[index] === CELL_STATUS_CODE.HIDDEN && !board.mines[index]
+);
+
+const findMines = (board) => findCells(board, index => board.mines[index]);
+
+/**
+ * Opens the board for every player, with the first reveal of the first player.
+ *
+ * @param {Object} game - Game created with createGame
+ * @returns {Object} Board after the first reveal
+ */
+const openBoard = ({ engines, deliver }) => {
+    const [first, ...others] = Object.keys(engines);
+    jest.setSystemTime(1000);
+    engines[first].reveal(4, 4);
+    others.forEach(other => deliver(first, other));
+    return engines[first].board;
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('cell actions', () => {
+    test('are applied on the board of every player', () => {
+        const game = createGame();
+        const { a, b } = game.engines;
+        const board = openBoard(game);
+        const mine = findMines(board)[0];
+
+        jest.setSystemTime(2000);
+        b.flag(mine.x, mine.y);
+        game.deliver('b', 'a');
+
+        expect(a.board.status).toEqual(b.board.status);
+        expect(a.board.status[mine.y * board.width + mine.x]).toBe(CELL_STATUS_CODE.FLAGGED);
+        expect(a.board.flagOwners).toEqual(b.board.flagOwners);
+        expect(a.stats).toEqual(b.stats);
+    });
+
+    test('take back a removed flag\'s points from the team that placed it', () => {
+        const game = createGame({ mode: GAME_MODE.TEAMS, teams: { a: TEAM.RED, b: TEAM.BLUE } });
+        const { a, b } = game.engines;
+        const mine = findMines(openBoard(game))[0];
+
+        jest.setSystemTime(2000);
+        a.flag(mine.x, mine.y);
+        game.deliver('a', 'b');
+        expect(b.scores).toEqual({ [TEAM.RED]: TEAM_SCORING.CORRECT_FLAG, [TEAM.BLUE]: 0 });
+
+        jest.setSystemTime(3000);
+        b.flag(mine.x, mine.y);
+        game.deliver('b', 'a');
+        expect(a.scores).toEqual({ [TEAM.RED]: 0, [TEAM.BLUE]: 0 });
+        expect(b.scores).toEqual(a.scores);
+    });
+});
+
+describe('end of the game', () => {
+    test('is won once every safe cell is revealed', () => {
+        const game = createGame();
+        const { a, b } = game.engines;
+        openBoard(game);
+
+        let time = 2000;
+        let safe = findHiddenSafeCells(a.board);
+        while (safe.length > 0) {
+            jest.setSystemTime(time++);
+            a.reveal(safe[0].x, safe[0].y);
+            safe = findHiddenSafeCells(a.board);
+        }
+        game.deliver('a', 'b');
+
+        expect(a.status).toBe(GAME_STATUS.WON);
+        expect(b.status).toBe(GAME_STATUS.WON);
+        expect(a.finalStats).toEqual(b.finalStats);
+    });
+
+    test('is lost once the lives run out, showing the mines', () => {
+        const game = createGame({ lives: 1 });
+        const { a, b } = game.engines;
+        const mine = findMines(openBoard(game))[0];
+
+        jest.setSystemTime(2000);
+        b.reveal(mine.x, mine.y);
+        game.deliver('b', 'a');
+
+        expect(a.status).toBe(GAME_STATUS.LOST);
+        expect(b.status).toBe(GAME_STATUS.LOST);
+        const { board, finalBoard } = a.getState();
+        findMines(finalBoard).forEach(({ x, y }) => {
+            expect(board.status[y * board.width + x]).toBe(CELL_STATUS_CODE.REVEALED);
+        });
+    });
+});
+
+describe('arrival order', () => {
+    test('leaves every player with the same game whatever order actions arrive in', () => {
+        const game = createGame({ mode: GAME_MODE.TEAMS, teams: { a: TEAM.RED, b: TEAM.BLUE, c: TEAM.RED }, players: ['a', 'b', 'c'] });
+        const { a, b, c } = game.engines;
+        const board = openBoard(game);
+        const safe = findHiddenSafeCells(board);
+        const mine = findMines(board)[0];
+
+        // a and b play at the same time, each without seeing the other's moves
+        jest.setSystemTime(2000);
+        a.flag(mine.x, mine.y);
+        jest.setSystemTime(2001);
+        b.reveal(safe[0].x, safe[0].y);
+        jest.setSystemTime(2002);
+        a.reveal(safe[0].x, safe[0].y);
+        jest.setSystemTime(2003);
+        b.flag(mine.x, mine.y);
+        jest.setSystemTime(2004);
+        a.reveal(safe[1].x, safe[1].y);
+
+        game.deliver('b', 'a');
+        game.deliver('a', 'b');
+        game.deliver('b', 'c');
+        game.deliver('a', 'c');
+
+        [b, c].forEach(engine => {
+            expect(engine.board.status).toEqual(a.board.status);
+            expect(engine.board.flagOwners).toEqual(a.board.flagOwners);
+            expect(engine.scores).toEqual(a.scores);
+            expect(engine.stats).toEqual(a.stats);
+        });
+        // b removed the flag a placed first, the reveal of the shared cell is b's
+        expect(a.board.flagOwners).toEqual({});
+        expect(a.stats.players.b.revealed).toBeGreaterThan(0);
+    });
+
+    test('slots in an action made before the win on a player who already won', () => {
+        const game = createGame({ mode: GAME_MODE.TEAMS, teams: { a: TEAM.RED, b: TEAM.BLUE } });
+        const { a, b } = game.engines;
+        openBoard(game);
+
+        let time = 2000;
+        let safe = findHiddenSafeCells(a.board);
+        while (safe.length > 2) {
+            jest.setSystemTime(time++);
+            a.reveal(safe[0].x, safe[0].y);
+            safe = findHiddenSafeCells(a.board);
+        }
+        game.deliver('a', 'b');
+
+        const [first, last] = safe;
+        jest.setSystemTime(5000);
+        b.reveal(first.x, first.y);
+        jest.setSystemTime(5001);
+        a.reveal(last.x, last.y);
+        jest.setSystemTime(5002);
+        a.reveal(first.x, first.y);
+        expect(a.status).toBe(GAME_STATUS.WON);
+
+        game.deliver('b', 'a');
+        game.deliver('a', 'b');
+
+        expect(b.status).toBe(GAME_STATUS.WON);
+        expect(a.scores).toEqual(b.scores);
+        expect(a.scores[TEAM.BLUE]).toBe(TEAM_SCORING.REVEALED_CELL);
+        expect(a.finalStats).toEqual(b.finalStats);
+    });
+
+    test('moves the loss to a mine hit made earlier that arrived late', () => {
+        const game = createGame({ lives: 1 });
+        const { a, b } = game.engines;
+        const board = openBoard(game);
+        const mines = findMines(board);
+        const safe = findHiddenSafeCells(board);
+
+        jest.setSystemTime(2000);
+        b.reveal(mines[0].x, mines[0].y);
+        jest.setSystemTime(2001);
+        a.reveal(safe[0].x, safe[0].y);
+        jest.setSystemTime(2002);
+        a.reveal(mines[1].x, mines[1].y);
+
+        game.deliver('b', 'a');
+        game.deliver('a', 'b');
+
+        expect(a.status).toBe(GAME_STATUS.LOST);
+        expect(a.finalBoard.status).toEqual(b.finalBoard.status);
+        expect(a.ending.action.peerId).toBe('b');
+        expect(a.history).toHaveLength(b.history.length);
+    });
+
+    test('rebuilds a late action from the checkpoint before it', () => {
+        const game = createGame({ width: 30, height: 30, bombs: 150 });
+        const { a, b } = game.engines;
+        const hidden = findCells(openBoard(game), index => a.board.status[index] === CELL_STATUS_CODE.HIDDEN);
+
+        for (let index = 0; index < 120; index++) {
+            jest.setSystemTime(2000 + index);
+            a.flag(hidden[index].x, hidden[index].y);
+        }
+        jest.setSystemTime(2050);
+        b.flag(hidden[200].x, hidden[200].y);
+        game.deliver('b', 'a');
+        game.deliver('a', 'b');
+
+        expect(a.history.map(action => action.id)).toEqual(b.history.map(action => action.id));
+        expect(a.board.status).toEqual(b.board.status);
+        expect(a.stats).toEqual(b.stats);
+        expect(b.checkpoints).toHaveLength(3);
+        expect(b.checkpoints[2].board.status).toEqual(a.checkpoints[2].board.status);
+    });
+});
+
+describe('undo', () => {
+    test('rolls the board and the totals back for every player', () => {
+        const game = createGame();
+        const { a, b } = game.engines;
+        const board = openBoard(game);
+        const mine = findMines(board)[0];
+        const safe = findHiddenSafeCells(board)[0];
+        const statsBefore = a.stats;
+
+        jest.setSystemTime(2000);
+        a.reveal(mine.x, mine.y);
+        game.deliver('a', 'b');
+        expect(b.stats).not.toEqual(statsBefore);
+
+        a.proposeUndo(['a', 'b']);
+        game.deliver('a', 'b');
+        b.voteUndo(true);
+        game.deliver('b', 'a');
+        game.deliver('a', 'b');
+
+        expect(b.undoVote).toBeNull();
+        expect(a.board.status).toEqual(b.board.status);
+        expect(a.board.status[mine.y * board.width + mine.x]).toBe(CELL_STATUS_CODE.HIDDEN);
+        expect(a.stats).toEqual(statsBefore);
+        expect(b.stats).toEqual(statsBefore);
+
+        // A move made before the undo and arriving after it is played on the board rolled back to
+        jest.setSystemTime(1500);
+        b.flag(safe.x, safe.y);
+        game.deliver('b', 'a');
+        expect(a.board.status).toEqual(b.board.status);
+        expect(a.stats).toEqual(b.stats);
+    });
+
+    test('is announced with an approved result', () => {
+        const game = createGame();
+        const { a } = game.engines;
+        const messages = [];
+        a.onUndoMessage((type) => messages.push(type));
+        const mine = findMines(openBoard(game))[0];
+
+        jest.setSystemTime(2000);
+        a.reveal(mine.x, mine.y);
+        a.proposeUndo([]);
+
+        expect(messages).toEqual([UNDO_MESSAGE_TYPES.PROPOSAL, UNDO_MESSAGE_TYPES.RESULT]);
+        expect(a.history).toEqual([]);
+    });
+});
+
+describe('turns', () => {
+    test('hold a move until the turn it was made in arrives', () => {
+        const game = createGame({ mode: GAME_MODE.TURNS, turnOrder: ['a', 'b', 'c'], players: ['a', 'b', 'c'] });
+        const { a, b, c } = game.engines;
+        Object.values(game.engines).forEach(engine => engine.start());
+
+        jest.setSystemTime(1000);
+        a.reveal(4, 4);
+        game.deliver('a', 'b');
+        expect(b.turn.player).toBe('b');
+
+        jest.setSystemTime(2000);
+        const safe = findHiddenSafeCells(b.board)[0];
+        b.reveal(safe.x, safe.y);
+
+        // c hears from b before it hears of a's move and of the turn a passed to b
+        game.deliver('b', 'c');
+        expect(c.history).toHaveLength(0);
+        game.deliver('a', 'c');
+        game.deliver('b', 'a');
+
+        expect(c.board.status).toEqual(b.board.status);
+        expect(a.board.status).toEqual(b.board.status);
+        expect(c.turn).toEqual({ player: 'c', number: 2 });
+
+        // Moves made out of turn are dropped
+        a.receive([{ id: 'c-9', time: 3000, action: 'REVEAL', x: 0, y: 0, turn: 1, peerId: 'c' }]);
+        expect(a.history).toHaveLength(2);
+
+        Object.values(game.engines).forEach(engine => engine.destroy());
+    });
+});
+
+describe('hints', () => {
+    test('asked for at the same time never go over the budget', () => {
+        const game = createGame({ hints: 1 });
+        const { a, b } = game.engines;
+        openBoard(game);
+
+        jest.setSystemTime(2001);
+        a.requestHint();
+        jest.setSystemTime(2000);
+        b.requestHint();
+        game.deliver('a', 'b');
+        game.deliver('b', 'a');
+
+        expect(a.hintsUsed).toBe(1);
+        expect(b.hintsUsed).toBe(1);
+        expect(a.hintCell).toEqual(b.hintCell);
+    });
+
+    test('are not available in competitive games', () => {
+        const { engines } = createGame({ mode: GAME_MODE.TEAMS, hints: 3 });
+        expect(engines.a.rules.hints).toBe(0);
+        expect(engines.a.canHint()).toBe(false);
+    });
+});
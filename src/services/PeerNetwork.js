@@ -87,6 +87,9 @@ class PeerNetwork {
         this.onGameOverCallback = null;
         this.onCursorUpdateCallback = null;
         this.onCellActionCallback = null;
+        this.onUndoMessageCallback = null;
+        this.onRaceProgressCallback = null;
+        this.onTurnStateCallback = null;
 
         // Heartbeat tracking
         this.heartbeatInterval = null;
@@ -238,7 +241,7 @@ class PeerNetwork {
                     this.handleGameConfig(data.config);
                     break;
                 case 'GAME_START':
-                    this.handleGameStart(data.config, data.board);
+                    this.handleGameStart(data.config, data.board, data.seed);
                     break;
                 case 'GAME_STATE':
                     this.handleGameState(data.state);
@@ -250,7 +253,18 @@ class PeerNetwork {
                     this.handleCursorUpdate(conn.peer, data.position);
                     break;
                 case 'CELL_ACTION':
-                    this.handleCellAction(data.action);
+                    this.handleCellAction(conn.peer, data.action);
+                    break;
+                case 'UNDO_PROPOSAL':
+                case 'UNDO_VOTE':
+                case 'UNDO_RESULT':
+                    this.handleUndoMessage(conn.peer, data.type, data.undo);
+                    break;
+                case 'RACE_PROGRESS':
+                    this.handleRaceProgress(conn.peer, data.progress);
+                    break;
+                case 'TURN_STATE':
+                    this.handleTurnState(conn.peer, data.turn);
                     break;
                 case 'DISCONNECT':
                     this.handlePeerDisconnectMessage(data.peerId, data.reason);
@@ -662,8 +676,9 @@ class PeerNetwork {
      * Starts a new game and broadcasts initial state to all peers
      * @param {Object} config - Initial game configuration
      * @param {Object} board - Initial board state
+     * @param {number} seed - Seed every peer uses to generate the same mine layout
      */
-    startGame(config, board) {
+    startGame(config, board, seed) {
         // Clear any existing game state first
         this.currentGameState = null;
         this.currentGameConfig = null;
@@ -672,13 +687,15 @@ class PeerNetwork {
         this.currentGameState = { 
             config, 
             board,
+            seed,
             startTime: Date.now()
         };
 
         const message = {
             type: 'GAME_START',
             config,
-            board
+            board,
+            seed
         };
 
         this.connections.forEach(conn => {
@@ -686,7 +703,7 @@ class PeerNetwork {
         });
 
         if (this.onGameStartedCallback) {
-            this.onGameStartedCallback(config, board);
+            this.onGameStartedCallback(config, board, seed);
         }
     }
 
@@ -731,7 +748,7 @@ class PeerNetwork {
     /**
      * Broadcasts a cell action to all connected peers.
      * Used during gameplay instead of full board state broadcasts.
-     * @param {Object} action - The cell action to broadcast { action, x, y, board? }
+     * @param {Object} action - The cell action to broadcast { action, x, y }
      */
     broadcastCellAction(action) {
         const message = {
@@ -792,11 +809,12 @@ class PeerNetwork {
      * @private
      * @param {Object} config - Game configuration
      * @param {Object} board - Initial board state
+     * @param {number} seed - Shared seed for mine placement
      */
-    handleGameStart(config, board) {
-        this.currentGameState = { config, board };
+    handleGameStart(config, board, seed) {
+        this.currentGameState = { config, board, seed };
         if (this.onGameStartedCallback) {
-            this.onGameStartedCallback(config, board);
+            this.onGameStartedCallback(config, board, seed);
         }
     }
 
@@ -843,12 +861,14 @@ class PeerNetwork {
 
     /**
      * Handles a cell action message received from a peer.
+     * The action is tagged with the ID of the peer who sent it.
      * @private
-     * @param {Object} action - The cell action { action, x, y, board? }
+     * @param {string} peerId - ID of the peer who made the action
+     * @param {Object} action - The cell action { action, x, y }
      */
-    handleCellAction(action) {
+    handleCellAction(peerId, action) {
         if (this.onCellActionCallback) {
-            this.onCellActionCallback(action);
+            this.onCellActionCallback({ ...action, peerId });
         }
     }
 
@@ -860,6 +880,148 @@ class PeerNetwork {
         this.onCellActionCallback = callback;
     }
 
+    /**
+     * Broadcasts a message of a cooperative undo vote to all connected peers.
+     * @param {string} type - 'UNDO_PROPOSAL', 'UNDO_VOTE' or 'UNDO_RESULT'
+     * @param {Object} undo - The proposal, vote or result
+     */
+    broadcastUndoMessage(type, undo) {
+        const message = {
+            type,
+            undo
+        };
+
+        this.connections.forEach(conn => {
+            try {
+                conn.send(message);
+            } catch (error) {
+                console.warn('Failed to send undo message:', error);
+            }
+        });
+    }
+
+    /**
+     * Handles an undo vote message received from a peer.
+     * The message is tagged with its type and the ID of the peer who sent it.
+     * @private
+     * @param {string} peerId - ID of the peer who sent the message
+     * @param {string} type - 'UNDO_PROPOSAL', 'UNDO_VOTE' or 'UNDO_RESULT'
+     * @param {Object} undo - The proposal, vote or result
+     */
+    handleUndoMessage(peerId, type, undo) {
+        if (this.onUndoMessageCallback) {
+            this.onUndoMessageCallback({ ...undo, type, peerId });
+        }
+    }
+
+    /**
+     * Sets callback for undo vote messages from peers.
+     * @param {Function} callback - Function called when an undo vote message is received
+     */
+    onUndoMessage(callback) {
+        this.onUndoMessageCallback = callback;
+    }
+
+    /**
+     * Broadcasts the progress of the local player in a race to all connected peers.
+     * @param {Object} progress - Share of the board cleared, game status and finish time { cleared, status, time }
+     */
+    broadcastRaceProgress(progress) {
+        const message = {
+            type: 'RACE_PROGRESS',
+            progress
+        };
+
+        this.connections.forEach(conn => {
+            try {
+                conn.send(message);
+            } catch (error) {
+                console.warn('Failed to send race progress:', error);
+            }
+        });
+    }
+
+    /**
+     * Handles race progress received from a peer.
+     * The progress is tagged with its type and the ID of the peer who sent it.
+     * @private
+     * @param {string} peerId - ID of the racing peer
+     * @param {Object} progress - Progress of the peer { cleared, status, time }
+     */
+    handleRaceProgress(peerId, progress) {
+        if (this.onRaceProgressCallback) {
+            this.onRaceProgressCallback({ ...progress, type: 'RACE_PROGRESS', peerId });
+        }
+    }
+
+    /**
+     * Sets callback for race progress from peers.
+     * @param {Function} callback - Function called when the progress of a racer is received
+     */
+    onRaceProgress(callback) {
+        this.onRaceProgressCallback = callback;
+    }
+
+    /**
+     * Broadcasts the turn passed on by the local player in a turn game to all connected peers.
+     * The turn is kept with the game state, so new peers join on the right turn.
+     * @param {Object} turn - Player whose turn it is and the number of the turn { player, number }
+     */
+    broadcastTurnState(turn) {
+        this.setCurrentTurn(turn);
+
+        const message = {
+            type: 'TURN_STATE',
+            turn
+        };
+
+        this.connections.forEach(conn => {
+            try {
+                conn.send(message);
+            } catch (error) {
+                console.warn('Failed to send turn state:', error);
+            }
+        });
+    }
+
+    /**
+     * Handles a turn passed on by a peer.
+     * The turn is tagged with its type and the ID of the peer who sent it.
+     * @private
+     * @param {string} peerId - ID of the peer who passed the turn
+     * @param {Object} turn - Player whose turn it is and the number of the turn { player, number }
+     */
+    handleTurnState(peerId, turn) {
+        this.setCurrentTurn(turn);
+        if (this.onTurnStateCallback) {
+            this.onTurnStateCallback({ ...turn, type: 'TURN_STATE', peerId });
+        }
+    }
+
+    /**
+     * Updates the stored turn without broadcasting, keeping the latest one
+     * when turns arrive out of order.
+     * @private
+     * @param {Object} turn - Player whose turn it is and the number of the turn { player, number }
+     */
+    setCurrentTurn(turn) {
+        const stored = this.currentGameState?.turn;
+        if (!this.currentGameState || (stored && stored.number >= turn.number)) return;
+
+        this.currentGameState = {
+            ...this.currentGameState,
+            turn
+        };
+    }
+
+    /**
+     * Sets callback for turns passed on by peers.
+     * @param {Function} callback - Function called when a turn is received
+     */
+    onTurnState(callback) {
+        this.onTurnStateCallback = callback;
+    }
+
     /**
      * Sets callback for game start events
      * @param {Function} callback - Function called when game starts
@@ -0,0 +1,207 @@
+import { CELL_STATUS_CODE } from '../constants/gameTypes';
+import { MASK_CELL, MASK_VOID } from './boardShapes';
+
+/**
+ * Board import and export formats.
+ *
+ * Text format: one line per row and one character per cell, lines starting with '#' are comments.
+ *   .  hidden safe cell        *  hidden mine
+ *   o  revealed safe cell      F  flagged mine      f  flagged safe cell (wrong flag)
+ *   -  void cell, outside the shape of the board
+ *
+ * MBF (Minesweeper Board Format, used by Minesweeper Arbiter and other clones): binary file made of
+ * the width and height (one byte each), the mine count (two bytes, big-endian) and the x and y
+ * of every mine (one byte each). It only stores the mine layout of rectangular boards up to 255x255.
+ *
+ * Imported boards are returned as board blueprints (see createBoardBlueprint), ready to be
+ * broadcast with the game start, along with the mask of their shape (see boardShapes) if they have void cells.
+ */
+
+const MBF_MAX_SIZE = 255;
+
+/**
+ * Text characters by cell state, [safe, mine] for every status code
+ */
+const TEXT_CELLS = {
+    [CELL_STATUS_CODE.HIDDEN]: ['.', '*'],
+    [CELL_STATUS_CODE.REVEALED]: ['o', '*'],
+    [CELL_STATUS_CODE.FLAGGED]: ['f', 'F'],
+    [CELL_STATUS_CODE.QUESTION]: ['.', '*']
+};
+
+/**
+ * Cell state of each text character
+ */
+const TEXT_CHARACTERS = {
+    '.': { mine: false, status: CELL_STATUS_CODE.HIDDEN },
+    '*': { mine: true, status: CELL_STATUS_CODE.HIDDEN },
+    'o': { mine: false, status: CELL_STATUS_CODE.REVEALED },
+    'F': { mine: true, status: CELL_STATUS_CODE.FLAGGED },
+    'f': { mine: false, status: CELL_STATUS_CODE.FLAGGED }
+};
+
+/**
+ * Exports the mine layout of a board as text, optionally with the revealed cells and flags.
+ * Revealed mines are written as hidden mines so the exported board can be played again.
+ *
+ * @param {Object} board - Board with mines placed
+ * @param {boolean} [includeState=false] - Whether revealed cells and flags are written
+ * @returns {string} Board in the text format
+ */
+export const exportBoardAsText = (board, includeState = false) => {
+    const mineCount = board.mines.reduce((sum, value) => sum + value, 0);
+    const lines = [`# Minesweepeers board ${board.width}x${board.height}, ${mineCount} mines`];
+
+    for (let y = 0; y < board.height; y++) {
+        let line = '';
+        for (let x = 0; x < board.width; x++) {
+            const index = y * board.width + x;
+            if (board.voids?.[index]) {
+                line += MASK_VOID;
+                continue;
+            }
+            const status = includeState ? board.status[index] : CELL_STATUS_CODE.HIDDEN;
+            line += TEXT_CELLS[status][board.mines[index]];
+        }
+        lines.push(line);
+    }
+
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Exports the mine layout of a board in the MBF binary format.
+ *
+ * @param {Object} board - Board with mines placed
+ * @returns {Uint8Array} MBF file contents
+ * @throws {Error} If the board is too large or shaped
+ */
+export const exportBoardAsMbf = (board) => {
+    if (board.width > MBF_MAX_SIZE || board.height > MBF_MAX_SIZE) {
+        throw new Error(`MBF files only support boards up to ${MBF_MAX_SIZE}x${MBF_MAX_SIZE}`);
+    }
+    if (board.voids) {
+        throw new Error('MBF files only support rectangular boards');
+    }
+
+    const mines = [];
+    board.mines.forEach((mine, index) => {
+        if (mine) mines.push(index);
+    });
+
+    const bytes = new Uint8Array(4 + mines.length * 2);
+    bytes[0] = board.width;
+    bytes[1] = board.height;
+    bytes[2] = mines.length >> 8;
+    bytes[3] = mines.length & 0xFF;
+    mines.forEach((index, i) => {
+        bytes[4 + i * 2] = index % board.width;
+        bytes[5 + i * 2] = Math.floor(index / board.width);
+    });
+
+    return bytes;
+};
+
+/**
+ * Parses a board in the text format.
+ *
+ * @param {string} text - Board in the text format
+ * @returns {{ width: number, height: number, status: string, mines: Array<number>, mask: Array<string>|null }} Board blueprint
+ * @throws {Error} If the text is not a valid board
+ */
+export const parseBoardText = (text) => {
+    const rows = text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'));
+
+    if (rows.length === 0) {
+        throw new Error('The board is empty');
+    }
+
+    const width = rows[0].length;
+    const mines = [];
+    let status = '';
+    let hasVoids = false;
+    rows.forEach((row, y) => {
+        if (row.length !== width) {
+            throw new Error(`Row ${y + 1} has ${row.length} cells instead of ${width}`);
+        }
+        [...row].forEach((character, x) => {
+            if (character === MASK_VOID) {
+                hasVoids = true;
+                status += CELL_STATUS_CODE.HIDDEN;
+                return;
+            }
+            const cell = TEXT_CHARACTERS[character];
+            if (!cell) {
+                throw new Error(`Unknown cell '${character}' in row ${y + 1}`);
+            }
+            if (cell.mine) mines.push(y * width + x);
+            status += cell.status;
+        });
+    });
+
+    const mask = hasVoids
+        ? rows.map(row => [...row].map(character => (character === MASK_VOID ? MASK_VOID : MASK_CELL)).join(''))
+        : null;
+    return { width, height: rows.length, status, mines, mask };
+};
+
+/**
+ * Parses a board in the MBF binary format.
+ *
+ * @param {Uint8Array} bytes - MBF file contents
+ * @returns {{ width: number, height: number, status: string, mines: Array<number> }} Board blueprint
+ * @throws {Error} If the file is not a valid MBF board
+ */
+export const parseMbf = (bytes) => {
+    if (bytes.length < 4) {
+        throw new Error('The file is too short to be an MBF board');
+    }
+
+    const width = bytes[0];
+    const height = bytes[1];
+    const count = (bytes[2] << 8) | bytes[3];
+    if (bytes.length < 4 + count * 2) {
+        throw new Error(`The file should list ${count} mines but is too short`);
+    }
+
+    const layout = new Uint8Array(width * height);
+    for (let i = 0; i < count; i++) {
+        const x = bytes[4 + i * 2];
+        const y = bytes[5 + i * 2];
+        if (x >= width || y >= height) {
+            throw new Error(`Mine ${i + 1} is outside the ${width}x${height} board`);
+        }
+        layout[y * width + x] = 1;
+    }
+
+    const mines = [];
+    layout.forEach((mine, index) => {
+        if (mine) mines.push(index);
+    });
+
+    return {
+        width,
+        height,
+        status: String(CELL_STATUS_CODE.HIDDEN).repeat(width * height),
+        mines
+    };
+};
+
+/**
+ * Parses an uploaded board file, choosing the format from its name.
+ *
+ * @param {string} name - File name
+ * @param {ArrayBuffer} contents - File contents
+ * @returns {{ width: number, height: number, status: string, mines: Array<number> }} Board blueprint
+ * @throws {Error} If the file is not a valid board
+ */
+export const parseBoardFile = (name, contents) => {
+    const bytes = new Uint8Array(contents);
+    if (name.toLowerCase().endsWith('.mbf')) {
+        return parseMbf(bytes);
+    }
+    return parseBoardText(new TextDecoder().decode(bytes));
+};
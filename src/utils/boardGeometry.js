@@ -0,0 +1,246 @@
+import { BOARD_TOPOLOGY, NEIGHBOURHOOD } from '../constants/gameTypes';
+
+/**
+ * Board geometry helpers shared by the game logic and the solver.
+ *
+ * Cells are addressed by a flat index (y * width + x). Neighbour lists are precomputed
+ * once per board shape into compact typed arrays, so hot loops such as flood fills and
+ * mine counting never recompute offsets or bounds checks.
+ *
+ * A "grid" is any object describing the board shape, such as the board itself.
+ * @typedef {Object} Grid
+ * @property {number} width - Board width in cells
+ * @property {number} height - Board height in cells
+ * @property {string} [topology] - BOARD_TOPOLOGY of the cells, square when omitted
+ * @property {string} [neighbourhood] - NEIGHBOURHOOD rule of square cells, standard when omitted
+ * @property {boolean} [wrap] - Whether neighbours wrap around the edges (toroidal board).
+ * Hexagonal boards need an even height to wrap, so that row parity stays consistent across the seam.
+ * @property {Uint8Array|null} [voids] - 1 for every void cell (see boardShapes), void cells have no
+ * neighbours and are nobody's neighbour
+ */
+
+/**
+ * Lists the offsets of every cell in the square of the given radius around a cell.
+ *
+ * @param {number} radius - Distance covered in each direction
+ * @returns {Array<Array<number>>} List of [dx, dy] offsets
+ */
+const getSquareOffsets = (radius) => {
+    const offsets = [];
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx !== 0 || dy !== 0) offsets.push([dx, dy]);
+        }
+    }
+    return offsets;
+};
+
+/**
+ * Neighbour offsets ([dx, dy]) of each kind of cell.
+ * Square cells follow the NEIGHBOURHOOD rule of the grid. Hexagonal boards use "odd-r"
+ * offset coordinates: odd rows are shifted half a cell to the right, so the diagonal
+ * neighbours of a cell depend on the parity of its row.
+ */
+const SQUARE_OFFSETS = {
+    [NEIGHBOURHOOD.STANDARD]: getSquareOffsets(1),
+    [NEIGHBOURHOOD.KNIGHT]: [
+        [-1, -2], [1, -2],
+        [-2, -1], [2, -1],
+        [-2, 1], [2, 1],
+        [-1, 2], [1, 2]
+    ],
+    [NEIGHBOURHOOD.RADIUS_2]: getSquareOffsets(2),
+    [NEIGHBOURHOOD.ORTHOGONAL]: [[0, -1], [-1, 0], [1, 0], [0, 1]]
+};
+const HEX_EVEN_ROW_OFFSETS = [[-1, -1], [0, -1], [-1, 0], [1, 0], [-1, 1], [0, 1]];
+const HEX_ODD_ROW_OFFSETS = [[0, -1], [1, -1], [-1, 0], [1, 0], [0, 1], [1, 1]];
+
+// Neighbour tables are reused across board copies with the same shape
+const MAX_CACHED_TABLES = 4;
+const neighbourTables = new Map();
+
+// Board copies share their void cell array, so the tables of shaped boards are cached by it
+const shapedNeighbourTables = new WeakMap();
+
+/**
+ * Reads the topology of a grid, defaulting to square cells.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {string} BOARD_TOPOLOGY value
+ */
+const getTopology = (grid) => grid.topology || BOARD_TOPOLOGY.SQUARE;
+
+/**
+ * Reads the neighbourhood rule of a grid. Hexagonal grids only support the standard rule.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {string} NEIGHBOURHOOD value
+ */
+export const getNeighbourhood = (grid) => {
+    if (getTopology(grid) === BOARD_TOPOLOGY.HEX || !SQUARE_OFFSETS[grid.neighbourhood]) {
+        return NEIGHBOURHOOD.STANDARD;
+    }
+    return grid.neighbourhood;
+};
+
+/**
+ * Builds a key identifying the shape of a grid, used to cache neighbour tables.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {string} Cache key
+ */
+const getGridKey = (grid) => [
+    `${grid.width}x${grid.height}`,
+    getTopology(grid),
+    getNeighbourhood(grid),
+    grid.wrap ? 'wrap' : 'flat'
+].join(':');
+
+/**
+ * Returns the neighbour offsets of the cells of a row.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} y - Row index
+ * @returns {Array<Array<number>>} List of [dx, dy] offsets
+ */
+const getRowOffsets = (grid, y) => {
+    if (getTopology(grid) === BOARD_TOPOLOGY.HEX) {
+        return y % 2 === 0 ? HEX_EVEN_ROW_OFFSETS : HEX_ODD_ROW_OFFSETS;
+    }
+    return SQUARE_OFFSETS[getNeighbourhood(grid)];
+};
+
+/**
+ * Returns how many neighbours a cell has away from the edges, e.g. 8 for standard square cells.
+ * Works on any grid description, without building its neighbour table.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {number} Maximum number of neighbours of a cell
+ */
+export const getMaxNeighbours = (grid) => getRowOffsets(grid, 0).length;
+
+/**
+ * Computes the neighbour lists of every cell of a grid.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {{ offsets: Int32Array, list: Int32Array }} Neighbours of cell i are list[offsets[i]] to list[offsets[i + 1] - 1]
+ */
+const buildNeighbourTable = (grid) => {
+    const { width, height, wrap, voids } = grid;
+    const size = width * height;
+    const offsets = new Int32Array(size + 1);
+    const neighbours = [];
+
+    for (let index = 0; index < size; index++) {
+        offsets[index] = neighbours.length;
+        if (voids?.[index]) continue;
+        const x = index % width;
+        const y = (index - x) / width;
+        getRowOffsets(grid, y).forEach(([dx, dy]) => {
+            let nx = x + dx;
+            let ny = y + dy;
+            if (wrap) {
+                nx = (nx + width) % width;
+                ny = (ny + height) % height;
+            }
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height && !voids?.[ny * width + nx]) {
+                neighbours.push(ny * width + nx);
+            }
+        });
+    }
+    offsets[size] = neighbours.length;
+
+    return { offsets, list: Int32Array.from(neighbours) };
+};
+
+/**
+ * Returns the (cached) neighbour table of a grid.
+ *
+ * @param {Grid} grid - Board shape
+ * @returns {{ offsets: Int32Array, list: Int32Array }} Neighbour table
+ */
+export const getNeighbourTable = (grid) => {
+    if (grid.voids) {
+        let table = shapedNeighbourTables.get(grid.voids);
+        if (!table) {
+            table = buildNeighbourTable(grid);
+            shapedNeighbourTables.set(grid.voids, table);
+        }
+        return table;
+    }
+
+    const key = getGridKey(grid);
+    let table = neighbourTables.get(key);
+    if (!table) {
+        table = buildNeighbourTable(grid);
+        if (neighbourTables.size >= MAX_CACHED_TABLES) {
+            neighbourTables.delete(neighbourTables.keys().next().value);
+        }
+        neighbourTables.set(key, table);
+    }
+    return table;
+};
+
+/**
+ * Returns the indices of the cells neighbouring a cell.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} index - Cell index
+ * @returns {Int32Array} Neighbour indices
+ */
+export const getNeighbours = (grid, index) => {
+    const { offsets, list } = getNeighbourTable(grid);
+    return list.subarray(offsets[index], offsets[index + 1]);
+};
+
+/**
+ * Checks whether a neighbour is only reached by wrapping around an edge of the grid,
+ * i.e. it sits on the opposite side of the board. Neighbours are at most two cells away,
+ * and boards are at least five cells wide, so anything further away came across an edge.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} index - Cell index
+ * @param {number} neighbour - Index of one of its neighbours
+ * @returns {boolean} True if the neighbour is across an edge
+ */
+export const isWrappedNeighbour = (grid, index, neighbour) => {
+    if (!grid.wrap) return false;
+    const cell = toCoordinates(grid, index);
+    const other = toCoordinates(grid, neighbour);
+    return Math.abs(cell.x - other.x) > 2 || Math.abs(cell.y - other.y) > 2;
+};
+
+/**
+ * Validates if given coordinates are within the grid boundaries.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} x - X coordinate to check
+ * @param {number} y - Y coordinate to check
+ * @returns {boolean} True if coordinates are valid, false otherwise
+ */
+export const isInsideGrid = (grid, x, y) => {
+    return Number.isInteger(x) && Number.isInteger(y) &&
+        y >= 0 && y < grid.height && x >= 0 && x < grid.width;
+};
+
+/**
+ * Converts coordinates to a flat cell index.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Cell index
+ */
+export const toIndex = (grid, x, y) => y * grid.width + x;
+
+/**
+ * Converts a flat cell index to coordinates.
+ *
+ * @param {Grid} grid - Board shape
+ * @param {number} index - Cell index
+ * @returns {{ x: number, y: number }} Cell coordinates
+ */
+export const toCoordinates = (grid, index) => ({
+    x: index % grid.width,
+    y: Math.floor(index / grid.width)
+});
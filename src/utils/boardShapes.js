@@ -0,0 +1,151 @@
+import { BOARD_SHAPE } from '../constants/gameTypes';
+
+/**
+ * Board shapes.
+ *
+ * Boards are always stored as rectangles; a shape marks some of their cells as "void".
+ * Void cells are not part of the board: they never hold mines, can't be clicked and are
+ * never counted as neighbours. A shape is described by a mask, one string per row and one
+ * character per cell, so it is plain JSON and travels with the synced game configuration.
+ */
+
+export const MASK_CELL = '.';
+export const MASK_VOID = '-';
+
+/**
+ * Tests whether a point is inside each predefined shape.
+ * Points are cell centres scaled to the grid: u goes from -1 (left) to 1 (right)
+ * and v from -1 (top) to 1 (bottom), so every shape stretches with the board.
+ */
+const SHAPE_TESTS = {
+    [BOARD_SHAPE.RECTANGLE]: () => true,
+    [BOARD_SHAPE.CIRCLE]: (u, v) => u * u + v * v <= 1,
+    [BOARD_SHAPE.CROSS]: (u, v) => Math.abs(u) <= 1 / 3 || Math.abs(v) <= 1 / 3,
+    // Heart curve (x² + y² - 1)³ = x²y³, flipped so its point is at the bottom
+    [BOARD_SHAPE.HEART]: (u, v) => {
+        const x = u * 1.15;
+        const y = 0.1 - v * 1.1;
+        const r = x * x + y * y - 1;
+        return r * r * r - x * x * y * y * y <= 0;
+    }
+};
+
+/**
+ * Draws the mask of a predefined shape.
+ *
+ * @param {string} shape - BOARD_SHAPE to draw, custom shapes are drawn as rectangles
+ * @param {number} width - Board width in cells
+ * @param {number} height - Board height in cells
+ * @returns {Array<string>} Mask rows
+ */
+export const createShapeMask = (shape, width, height) => {
+    const isInside = SHAPE_TESTS[shape] || SHAPE_TESTS[BOARD_SHAPE.RECTANGLE];
+    return Array.from({ length: height }, (_, y) => {
+        const v = ((y + 0.5) / height) * 2 - 1;
+        let row = '';
+        for (let x = 0; x < width; x++) {
+            const u = ((x + 0.5) / width) * 2 - 1;
+            row += isInside(u, v) ? MASK_CELL : MASK_VOID;
+        }
+        return row;
+    });
+};
+
+/**
+ * Fits a painted mask to a board size, cropping it or adding playable cells
+ * on the right and bottom edges.
+ *
+ * @param {Array<string>} mask - Mask rows
+ * @param {number} width - Board width in cells
+ * @param {number} height - Board height in cells
+ * @returns {Array<string>} Mask rows of the given size
+ */
+export const fitMask = (mask, width, height) => Array.from({ length: height }, (_, y) => (
+    (mask[y] || '').slice(0, width).padEnd(width, MASK_CELL)
+));
+
+/**
+ * Returns the mask of a board shape, or null when every cell is played.
+ *
+ * @param {string} shape - BOARD_SHAPE of the board
+ * @param {number} width - Board width in cells
+ * @param {number} height - Board height in cells
+ * @param {Array<string>} [customMask] - Painted mask, used by custom shapes
+ * @returns {Array<string>|null} Mask rows
+ */
+export const getShapeMask = (shape, width, height, customMask) => {
+    if (!shape || shape === BOARD_SHAPE.RECTANGLE) return null;
+    if (shape === BOARD_SHAPE.CUSTOM) {
+        return fitMask(customMask || [], width, height);
+    }
+    return createShapeMask(shape, width, height);
+};
+
+/**
+ * Checks whether a cell of a mask is void.
+ *
+ * @param {Array<string>|null} mask - Mask rows
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @returns {boolean} True if the cell is void
+ */
+export const isMaskVoid = (mask, x, y) => Boolean(mask) && mask[y]?.[x] === MASK_VOID;
+
+/**
+ * Makes a cell of a mask void or playable.
+ *
+ * @param {Array<string>} mask - Mask rows
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @param {boolean} isVoid - Whether the cell becomes void
+ * @returns {Array<string>} New mask rows, or the same mask if the cell didn't change
+ */
+export const setMaskCell = (mask, x, y, isVoid) => {
+    if (isMaskVoid(mask, x, y) === isVoid) return mask;
+    const row = mask[y];
+    const rows = [...mask];
+    rows[y] = row.slice(0, x) + (isVoid ? MASK_VOID : MASK_CELL) + row.slice(x + 1);
+    return rows;
+};
+
+/**
+ * Counts the cells of a board that are played.
+ *
+ * @param {Array<string>|null} mask - Mask rows, null when every cell is played
+ * @param {number} width - Board width in cells
+ * @param {number} height - Board height in cells
+ * @returns {number} Number of playable cells
+ */
+export const countPlayableCells = (mask, width, height) => {
+    if (!mask) return width * height;
+    let count = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isMaskVoid(mask, x, y)) count++;
+        }
+    }
+    return count;
+};
+
+/**
+ * Converts a mask to the void cell array stored in boards.
+ *
+ * @param {Array<string>|null} mask - Mask rows
+ * @param {number} width - Board width in cells
+ * @param {number} height - Board height in cells
+ * @returns {Uint8Array|null} 1 for every void cell, or null when every cell is played
+ */
+export const createVoidCells = (mask, width, height) => {
+    if (!mask) return null;
+    const voids = new Uint8Array(width * height);
+    let count = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isMaskVoid(mask, x, y)) {
+                voids[y * width + x] = 1;
+                count++;
+            }
+        }
+    }
+    return count > 0 ? voids : null;
+};
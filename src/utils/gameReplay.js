@@ -0,0 +1,343 @@
+import { GAME_MODE, GAME_STATUS } from '../constants/gameTypes';
+import {
+    applyBoardBlueprint,
+    applyCellActions,
+    checkWinCondition,
+    compareCellActions,
+    createEmptyBoard,
+    createGameRules,
+    getBoardLayout,
+    getLivesLeft,
+    recordEliminationAction,
+    CELL_ACTION_TYPES
+} from './minesweeperLogic';
+
+/**
+ * Game replays.
+ *
+ * A replay stores everything needed to play a game again: the synced configuration and seed,
+ * the board the recording started from, every cell action with the time it was made and
+ * the player who made it, and samples of every cursor. Times are milliseconds since the
+ * recording started, actions are played back by time like peers apply them (see
+ * compareCellActions). Mine layouts are regenerated from the seed, exactly as during the game.
+ * Approved undos are recorded with the board every peer rolled back to.
+ */
+
+const REPLAY_VERSION = 1;
+
+// Minimum time between two recorded samples of the same cursor, in milliseconds
+const CURSOR_SAMPLE_INTERVAL = 100;
+
+// Boards are kept every CHECKPOINT_INTERVAL actions so scrubbing never replays the whole game
+const CHECKPOINT_INTERVAL = 50;
+
+// Recorded entry of an approved undo
+const UNDO = 'UNDO';
+
+// Actions that change the board, hints only highlight a cell
+const RECORDED_ACTIONS = new Set([
+    CELL_ACTION_TYPES.FIRST_REVEAL,
+    CELL_ACTION_TYPES.REVEAL,
+    CELL_ACTION_TYPES.FLAG,
+    CELL_ACTION_TYPES.CHORD
+]);
+
+/**
+ * Starts recording a game.
+ * Recordings grow on every action and cursor move, so they are updated in place
+ * and only read once the game ends.
+ *
+ * @param {Object} config - Synced game configuration
+ * @param {number} seed - Game seed
+ * @param {Object} board - Blueprint of the board the recording starts from
+ * @returns {Object} Empty recording
+ */
+export const createReplay = (config, seed, board) => ({
+    version: REPLAY_VERSION,
+    config,
+    seed,
+    board,
+    startTime: Date.now(),
+    duration: 0,
+    actions: [],
+    cursors: [],
+    lastCursors: {}
+});
+
+/**
+ * Records an applied cell action, at the time it was made rather than when it arrived.
+ * Actions made before the recording started, by players already there when joining, start it.
+ *
+ * @param {Object} replay - Recording created with createReplay
+ * @param {Object} action - Applied cell action, tagged with the peerId of the player who made it
+ */
+export const recordReplayAction = (replay, action) => {
+    if (!RECORDED_ACTIONS.has(action.action)) return;
+
+    const { action: type, x, y, attempt, peerId } = action;
+    const t = Math.max(0, (action.time ?? Date.now()) - replay.startTime);
+    replay.actions.push({ t, peerId, action: type, x, y, attempt });
+};
+
+/**
+ * Records an approved undo.
+ *
+ * @param {Object} replay - Recording created with createReplay
+ * @param {string} peerId - Player who proposed the undo
+ * @param {Object} board - Blueprint of the board every peer rolled back to
+ */
+export const recordReplayUndo = (replay, peerId, board) => {
+    replay.actions.push({ t: Date.now() - replay.startTime, peerId, action: UNDO, board });
+};
+
+/**
+ * Records a cursor position, skipping samples that come too close to the previous one.
+ * Cursors leaving the board are always recorded so they disappear on time.
+ *
+ * @param {Object} replay - Recording created with createReplay
+ * @param {string} peerId - Player the cursor belongs to
+ * @param {Object} position - Normalized cursor position { x, y, isInCanvas }
+ */
+export const recordReplayCursor = (replay, peerId, position) => {
+    const t = Date.now() - replay.startTime;
+    const last = replay.lastCursors[peerId];
+    const isInCanvas = Boolean(position.isInCanvas);
+
+    if (last && last.isInCanvas === isInCanvas) {
+        if (!isInCanvas || t - last.t < CURSOR_SAMPLE_INTERVAL) return;
+        if (last.x === position.x && last.y === position.y) return;
+    }
+
+    const sample = isInCanvas
+        ? { t, peerId, x: position.x, y: position.y, isInCanvas }
+        : { t, peerId, isInCanvas };
+    replay.cursors.push(sample);
+    replay.lastCursors[peerId] = sample;
+};
+
+/**
+ * Stops recording a game, fixing its duration.
+ *
+ * @param {Object} replay - Recording created with createReplay
+ */
+export const finishReplay = (replay) => {
+    if (!replay.duration) {
+        replay.duration = Date.now() - replay.startTime;
+    }
+};
+
+/**
+ * Serializes a recording into the contents of a replay file.
+ *
+ * @param {Object} replay - Recording created with createReplay
+ * @param {Object} players - Name and color of every player, by peerId
+ * @returns {string} Replay file contents (JSON)
+ */
+export const serializeReplay = (replay, players) => {
+    const { lastCursors, startTime, ...recording } = replay;
+    const duration = recording.duration || Date.now() - startTime;
+    return JSON.stringify({ ...recording, duration, players });
+};
+
+/**
+ * Parses the contents of a replay file.
+ *
+ * @param {string} text - Replay file contents
+ * @returns {Object} Replay, with its actions and cursor samples sorted by time
+ * @throws {Error} If the file is not a valid replay
+ */
+export const parseReplay = (text) => {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not a replay');
+    }
+
+    if (!replay || typeof replay !== 'object' || !Array.isArray(replay.actions) || !Array.isArray(replay.cursors)) {
+        throw new Error('The file is not a replay');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+
+    const { config, board } = replay;
+    if (!config || !board || board.width !== config.width || board.height !== config.height) {
+        throw new Error('The replay board does not match its configuration');
+    }
+
+    const byTime = (a, b) => a.t - b.t;
+    // Actions made at the same time are applied in the same order as during the game
+    const byActionOrder = (a, b) => compareCellActions({ time: a.t, peerId: a.peerId }, { time: b.t, peerId: b.peerId });
+    return {
+        ...replay,
+        actions: [...replay.actions].sort(byActionOrder),
+        cursors: [...replay.cursors].sort(byTime),
+        players: replay.players || {}
+    };
+};
+
+/**
+ * Applies a recorded action, or the rollback of an approved undo.
+ *
+ * @param {Object} board - Board before the action
+ * @param {Object} action - Recorded action
+ * @param {Object} rules - Game rules created with createGameRules
+ * @param {Object} emptyBoard - Empty board of the game, undos are applied to it
+ * @returns {Object} Board after the action
+ */
+const applyReplayAction = (board, action, rules, emptyBoard) => {
+    if (action.action === UNDO) {
+        return applyBoardBlueprint(emptyBoard, action.board);
+    }
+    return applyCellActions(board, [action], rules);
+};
+
+/**
+ * Finds how many entries of a list sorted by time happened at or before a time.
+ *
+ * @param {Array<Object>} entries - Entries sorted by their time t
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Number of entries up to that time
+ */
+const countUntil = (entries, time) => {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle].t <= time) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+};
+
+/**
+ * Finds the status of a game from its board, with the rules of its mode:
+ * lost once the lives are gone, or once every player is out of an elimination game.
+ *
+ * @param {Object} rules - Game rules created with createGameRules
+ * @param {Object} board - Board of the game
+ * @param {Array<string>} eliminated - peerIds of the players out
+ * @param {Array<string>} players - peerIds of every player
+ * @returns {string} GAME_STATUS of the game
+ */
+const getGameStatus = (rules, board, eliminated, players) => {
+    const isOut = rules.mode === GAME_MODE.ELIMINATION
+        ? players.length > 0 && eliminated.length >= players.length
+        : getLivesLeft(board, rules) === 0;
+    if (isOut) return GAME_STATUS.LOST;
+    return checkWinCondition(board) ? GAME_STATUS.WON : GAME_STATUS.PLAYING;
+};
+
+/**
+ * Prepares a parsed replay for playback: builds the starting board and keeps
+ * the board every few actions, and groups cursor samples by player.
+ * In elimination games it also notes when each player went out. Moves of players already out
+ * and moves made once the game was over are dropped, they weren't played during the game either.
+ *
+ * @param {Object} replay - Replay returned by parseReplay
+ * @returns {Object} Timeline for getReplayBoard, getReplayCursors and getReplayStatus
+ */
+export const createReplayTimeline = (replay) => {
+    const rules = createGameRules(replay.config, replay.seed);
+    const emptyBoard = createEmptyBoard(replay.config.width, replay.config.height, getBoardLayout(replay.config));
+
+    // Players out when the recording started went out at its start
+    let eliminated = replay.board.eliminated || [];
+    const eliminations = eliminated.map(peerId => ({ t: 0, peerId }));
+
+    // Everyone who played or was there when the replay was saved, to tell when all of them are out
+    const players = [...new Set([...Object.keys(replay.players), ...replay.actions.map(action => action.peerId)])];
+
+    const checkpoints = [applyBoardBlueprint(emptyBoard, replay.board)];
+    const actions = [];
+    let board = checkpoints[0];
+    let isOver = false;
+    replay.actions.forEach(action => {
+        if ((isOver || eliminated.includes(action.peerId)) && action.action !== UNDO) return;
+
+        const before = board;
+        board = applyReplayAction(board, action, rules, emptyBoard);
+        if (rules.mode === GAME_MODE.ELIMINATION && action.action !== UNDO) {
+            const next = recordEliminationAction(eliminated, action, before, board);
+            if (next !== eliminated) {
+                eliminations.push({ t: action.t, peerId: action.peerId });
+                eliminated = next;
+            }
+        }
+        actions.push(action);
+        if (actions.length % CHECKPOINT_INTERVAL === 0) {
+            checkpoints.push(board);
+        }
+        isOver = getGameStatus(rules, board, eliminated, players) !== GAME_STATUS.PLAYING;
+    });
+
+    const cursors = {};
+    replay.cursors.forEach(sample => {
+        (cursors[sample.peerId] = cursors[sample.peerId] || []).push(sample);
+    });
+
+    return { rules, emptyBoard, actions, checkpoints, cursors, eliminations, players, duration: replay.duration };
+};
+
+/**
+ * Rebuilds the board at a moment of the replay.
+ *
+ * @param {Object} timeline - Timeline created with createReplayTimeline
+ * @param {number} time - Time in milliseconds since the recording started
+ * @returns {Object} Board with every action up to that time applied
+ */
+export const getReplayBoard = (timeline, time) => {
+    const count = countUntil(timeline.actions, time);
+    const checkpoint = Math.floor(count / CHECKPOINT_INTERVAL);
+
+    let board = timeline.checkpoints[checkpoint];
+    for (let index = checkpoint * CHECKPOINT_INTERVAL; index < count; index++) {
+        board = applyReplayAction(board, timeline.actions[index], timeline.rules, timeline.emptyBoard);
+    }
+    return board;
+};
+
+/**
+ * Finds where every cursor was at a moment of the replay.
+ *
+ * @param {Object} timeline - Timeline created with createReplayTimeline
+ * @param {number} time - Time in milliseconds since the recording started
+ * @returns {Object} Cursor positions by peerId, as expected by CursorOverlay
+ */
+export const getReplayCursors = (timeline, time) => {
+    const positions = {};
+    Object.entries(timeline.cursors).forEach(([peerId, samples]) => {
+        const count = countUntil(samples, time);
+        if (count > 0) {
+            positions[peerId] = samples[count - 1];
+        }
+    });
+    return positions;
+};
+
+/**
+ * Finds the players out of an elimination game at a moment of the replay.
+ *
+ * @param {Object} timeline - Timeline created with createReplayTimeline
+ * @param {number} time - Time in milliseconds since the recording started
+ * @returns {Array<string>} peerIds of the players out, first out first
+ */
+export const getReplayEliminated = (timeline, time) => (
+    timeline.eliminations.slice(0, countUntil(timeline.eliminations, time)).map(elimination => elimination.peerId)
+);
+
+/**
+ * Finds the status of the game at a moment of the replay.
+ *
+ * @param {Object} timeline - Timeline created with createReplayTimeline
+ * @param {number} time - Time in milliseconds since the recording started
+ * @param {Object} board - Board at that time, see getReplayBoard
+ * @returns {string} GAME_STATUS of the game
+ */
+export const getReplayStatus = (timeline, time, board) => (
+    getGameStatus(timeline.rules, board, getReplayEliminated(timeline, time), timeline.players)
+);
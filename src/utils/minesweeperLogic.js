@@ -1,4 +1,52 @@
-import { CELL_STATUS } from '../constants/gameTypes';
+import { CELL_STATUS_CODE, CELL_STATUS_BY_CODE, BOARD_TOPOLOGY, NEIGHBOURHOOD, GAME_MODE, GAME_STATUS, FIRST_CLICK, TEAM } from '../constants/gameTypes';
+import { createSeededRandom, deriveSeed } from './seededRandom';
+import { isSolvableWithoutGuessing } from './minesweeperSolver';
+import { getNeighbourTable, getNeighbourhood, getNeighbours, isInsideGrid, toIndex } from './boardGeometry';
+import { createVoidCells } from './boardShapes';
+
+// Time allowed to search for a no-guess layout before falling back to a regular one
+const NO_GUESS_TIME_BUDGET = 2000;
+
+// Salt of the seed the start cell of a race is drawn from
+const RACE_START_SALT = -1;
+
+// Seconds each player has to move in turn games, unless the game sets otherwise
+export const DEFAULT_TURN_SECONDS = 20;
+
+/**
+ * Game board representation.
+ * Cells are stored in flat typed arrays indexed by y * width + x, so copying a board
+ * only duplicates the arrays that change. Boards are treated as immutable: every
+ * operation returns a new board and arrays that didn't change are shared between copies.
+ * 
+ * @typedef {Object} GameBoard
+ * @property {number} width - Board width in cells
+ * @property {number} height - Board height in cells
+ * @property {string} topology - BOARD_TOPOLOGY of the cells
+ * @property {string} neighbourhood - NEIGHBOURHOOD rule deciding which cells are counted as neighbours
+ * @property {boolean} wrap - Whether neighbours wrap around the board edges
+ * @property {Uint8Array} mines - 1 for every cell holding a mine
+ * @property {Uint8Array} status - CELL_STATUS_CODE of every cell
+ * @property {Uint8Array} adjacent - Number of adjacent mines of every cell
+ * @property {Uint8Array|null} voids - 1 for every void cell of shaped boards (see boardShapes), null on rectangles
+ * @property {Object} flagOwners - peerId of the player who placed each flag, by cell index
+ * @property {Object} disputes - peerIds of the players disputing each flag, by cell index
+ */
+
+/**
+ * Extracts the board layout options (everything that defines which cells are neighbours)
+ * from a game configuration. Every peer builds its board from the synced configuration,
+ * so all of them compute the same neighbours.
+ * 
+ * @param {Object} config - Game configuration
+ * @returns {{ topology: string, neighbourhood: string, wrap: boolean, mask: Array<string>|null }} Layout options for createEmptyBoard
+ */
+export const getBoardLayout = (config) => ({
+    topology: config.topology || BOARD_TOPOLOGY.SQUARE,
+    neighbourhood: config.neighbourhood || NEIGHBOURHOOD.STANDARD,
+    wrap: Boolean(config.wrap),
+    mask: config.mask || null
+});
 
 /**
  * Creates an empty game board with the specified dimensions.
@@ -6,259 +54,591 @@ import { CELL_STATUS } from '../constants/gameTypes';
  * 
  * @param {number} width - The width of the board in cells
  * @param {number} height - The height of the board in cells
- * @returns {Array<Array<Object>>} 2D array representing the game board
+ * @param {Object} [layout] - Layout options, see getBoardLayout
+ * @param {string} [layout.topology] - BOARD_TOPOLOGY of the cells, square by default
+ * @param {string} [layout.neighbourhood] - NEIGHBOURHOOD rule of square cells, standard by default
+ * @param {boolean} [layout.wrap] - Whether neighbours wrap around the edges
+ * @param {Array<string>} [layout.mask] - Shape of the board, see boardShapes
+ * @returns {GameBoard} Empty game board
+ */
+export const createEmptyBoard = (width, height, layout = {}) => {
+    const size = width * height;
+    const topology = layout.topology || BOARD_TOPOLOGY.SQUARE;
+    return {
+        width,
+        height,
+        topology,
+        neighbourhood: getNeighbourhood({ topology, neighbourhood: layout.neighbourhood }),
+        wrap: Boolean(layout.wrap),
+        mines: new Uint8Array(size),
+        status: new Uint8Array(size),
+        adjacent: new Uint8Array(size),
+        voids: createVoidCells(layout.mask, width, height),
+        flagOwners: {},
+        disputes: {}
+    };
+};
+
+/**
+ * Reads a single cell of the board as a plain object, e.g. for rendering.
+ * 
+ * @param {GameBoard} board - The game board
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @returns {{ isVoid: boolean, isMine: boolean, status: string, adjacentMines: number, flagOwner: string|null, disputed: boolean }} Cell data
  */
-export const createEmptyBoard = (width, height) => {
-    return Array(height).fill().map(() => 
-        Array(width).fill().map(() => ({
-            isMine: false,
-            status: CELL_STATUS.HIDDEN,
-            adjacentMines: 0
-        }))
-    );
+export const getCell = (board, x, y) => {
+    const index = toIndex(board, x, y);
+    return {
+        isVoid: Boolean(board.voids?.[index]),
+        isMine: board.mines[index] === 1,
+        status: CELL_STATUS_BY_CODE[board.status[index]],
+        adjacentMines: board.adjacent[index],
+        flagOwner: board.flagOwners?.[index] || null,
+        disputed: Boolean(board.disputes?.[index])
+    };
 };
 
 /**
- * Places mines randomly on the board while ensuring the first clicked cell and its adjacent cells are safe.
+ * Calculates the number of mines neighbouring every cell of the board.
+ * 
+ * @param {GameBoard} board - Board shape
+ * @param {Uint8Array} mines - Mine layout
+ * @returns {Uint8Array} Adjacent mine count of every cell
+ */
+const countAdjacentMines = (board, mines) => {
+    const { offsets, list } = getNeighbourTable(board);
+    const adjacent = new Uint8Array(mines.length);
+    for (let index = 0; index < mines.length; index++) {
+        let count = 0;
+        for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+            count += mines[list[n]];
+        }
+        adjacent[index] = count;
+    }
+    return adjacent;
+};
+
+/**
+ * Lists the cells the first click keeps free of mines.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @param {number} firstIndex - Index of the first clicked cell
+ * @param {string} firstClick - FIRST_CLICK rule of the game
+ * @returns {Set<number>} Indices of the cells that can't hold a mine
+ */
+const getSafeZone = (board, firstIndex, firstClick) => {
+    switch (firstClick) {
+        case FIRST_CLICK.NONE:
+            return new Set();
+        case FIRST_CLICK.SAFE:
+            return new Set([firstIndex]);
+        default:
+            return new Set([firstIndex, ...getNeighbours(board, firstIndex)]);
+    }
+};
+
+/**
+ * Places mines pseudo-randomly on the board, keeping the cells protected by the first-click rule safe.
  * Also calculates the number of adjacent mines for each non-mine cell.
+ * The layout is fully determined by the seed, the attempt number, the first click and its rule,
+ * so every peer regenerates the identical board without it being transmitted.
  * 
- * @param {Array<Array<Object>>} board - The current game board
+ * Mines are picked with a partial Fisher-Yates shuffle of the candidate cells, which takes
+ * the same time whatever the mine density, instead of drawing random cells until enough are free.
+ * 
+ * @param {GameBoard} board - The current game board
  * @param {number} mines - Number of mines to place
  * @param {number} firstX - X coordinate of first click
  * @param {number} firstY - Y coordinate of first click
- * @returns {Array<Array<Object>>} New board with mines placed and adjacent mine counts calculated
+ * @param {number} seed - Game seed shared by all peers through GAME_START
+ * @param {number} [attempt=0] - Generation attempt, used to derive alternative layouts from the same seed
+ * @param {string} [firstClick=FIRST_CLICK.OPENING] - What the first click is guaranteed to reveal
+ * @returns {GameBoard} New board with mines placed and adjacent mine counts calculated
  */
-export const placeMines = (board, mines, firstX, firstY) => {
-    const width = board[0].length;
-    const height = board.length;
-    const newBoard = board.map(row => row.map(cell => ({...cell})));
-    
-    let minesPlaced = 0;
-    while (minesPlaced < mines) {
-        const x = Math.floor(Math.random() * width);
-        const y = Math.floor(Math.random() * height);
-
-        // Don't place mine on first click or adjacent cells
-        const isNearFirstClick = Math.abs(x - firstX) <= 1 && Math.abs(y - firstY) <= 1;
-        
-        if (!newBoard[y][x].isMine && !isNearFirstClick) {
-            newBoard[y][x].isMine = true;
-            minesPlaced++;
-        }
+export const placeMines = (board, mines, firstX, firstY, seed, attempt = 0, firstClick = FIRST_CLICK.OPENING) => {
+    const size = board.width * board.height;
+    const random = createSeededRandom(deriveSeed(seed, attempt));
+    const newMines = new Uint8Array(size);
+
+    const safeZone = getSafeZone(board, toIndex(board, firstX, firstY), firstClick);
+    const candidates = new Int32Array(size - safeZone.size);
+    let count = 0;
+    for (let index = 0; index < size; index++) {
+        if (!safeZone.has(index) && !board.voids?.[index]) candidates[count++] = index;
     }
 
-    // Calculate adjacent mines
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            if (!newBoard[y][x].isMine) {
-                newBoard[y][x].adjacentMines = countAdjacentMines(newBoard, x, y);
-            }
-        }
+    // Only the first `mines` positions of the shuffle are needed
+    const total = Math.min(mines, count);
+    for (let i = 0; i < total; i++) {
+        const j = i + Math.floor(random() * (count - i));
+        const picked = candidates[j];
+        candidates[j] = candidates[i];
+        candidates[i] = picked;
+        newMines[picked] = 1;
     }
 
-    return newBoard;
+    return {
+        ...board,
+        mines: newMines,
+        adjacent: countAdjacentMines(board, newMines)
+    };
 };
 
 /**
- * Calculates the number of mines in the 8 cells surrounding a given cell position.
- * 
- * @param {Array<Array<Object>>} board - The game board
- * @param {number} x - X coordinate of the cell
- * @param {number} y - Y coordinate of the cell
- * @returns {number} Count of adjacent mines
+ * Searches for a mine layout that a logical solver can clear from the first click's opening.
+ * Layouts are tried attempt by attempt from the shared seed until one is solvable or the
+ * time budget runs out, in which case the regular layout (attempt 0) is used instead.
+ * Only the peer who clicks first runs the search; the others rebuild the chosen attempt.
+ *
+ * @param {GameBoard} board - The current game board
+ * @param {number} mines - Number of mines to place
+ * @param {number} firstX - X coordinate of first click
+ * @param {number} firstY - Y coordinate of first click
+ * @param {number} seed - Game seed shared by all peers
+ * @param {string} [firstClick=FIRST_CLICK.OPENING] - What the first click is guaranteed to reveal
+ * @returns {{ board: GameBoard, attempt: number, solvable: boolean }} Chosen board and attempt
  */
-const countAdjacentMines = (board, x, y) => {
-    let count = 0;
-    for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-            const newY = y + dy;
-            const newX = x + dx;
-            if (isValidCell(board, newX, newY) && board[newY][newX].isMine) {
-                count++;
-            }
+export const generateNoGuessBoard = (board, mines, firstX, firstY, seed, firstClick = FIRST_CLICK.OPENING) => {
+    const deadline = Date.now() + NO_GUESS_TIME_BUDGET;
+
+    for (let attempt = 0; Date.now() < deadline; attempt++) {
+        const candidate = placeMines(board, mines, firstX, firstY, seed, attempt, firstClick);
+        if (isSolvableWithoutGuessing(candidate, firstX, firstY, deadline)) {
+            return { board: candidate, attempt, solvable: true };
         }
     }
-    return count;
+
+    return {
+        board: placeMines(board, mines, firstX, firstY, seed, 0, firstClick),
+        attempt: 0,
+        solvable: false
+    };
 };
 
 /**
- * Validates if given coordinates are within the board boundaries.
+ * Validates if given coordinates are within the board boundaries and not on a void cell.
+ * Coordinates never wrap, even on boards whose neighbours do.
  * 
- * @param {Array<Array<Object>>} board - The game board
+ * @param {GameBoard} board - The game board
  * @param {number} x - X coordinate to check
  * @param {number} y - Y coordinate to check
  * @returns {boolean} True if coordinates are valid, false otherwise
  */
-const isValidCell = (board, x, y) => {
-    return y >= 0 && y < board.length && x >= 0 && x < board[0].length;
+const isValidCell = (board, x, y) => isInsideGrid(board, x, y) && !board.voids?.[toIndex(board, x, y)];
+
+/**
+ * Reveals cells starting from one index, flood-filling through cells with no adjacent mines.
+ * Uses an explicit stack instead of recursion so very large openings can't overflow the call stack.
+ * Mutates the given status array.
+ * 
+ * @param {GameBoard} board - The game board (for mines and adjacent counts)
+ * @param {Uint8Array} status - Status array being updated
+ * @param {number} start - Index of the first cell to reveal
+ * @returns {number} Number of cells revealed
+ */
+const floodReveal = (board, status, start) => {
+    const { offsets, list } = getNeighbourTable(board);
+    const stack = [start];
+    let revealed = 0;
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        // Flagged cells block the flood fill, question marks don't
+        if (status[index] === CELL_STATUS_CODE.REVEALED || status[index] === CELL_STATUS_CODE.FLAGGED) {
+            continue;
+        }
+
+        status[index] = CELL_STATUS_CODE.REVEALED;
+        revealed++;
+
+        // If it's an empty cell, reveal neighbors
+        if (board.adjacent[index] === 0 && !board.mines[index]) {
+            for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+                const neighbour = list[n];
+                if (status[neighbour] !== CELL_STATUS_CODE.REVEALED) {
+                    stack.push(neighbour);
+                }
+            }
+        }
+    }
+
+    return revealed;
 };
 
 /**
- * Reveals a cell and recursively reveals adjacent cells if the clicked cell has no adjacent mines.
+ * Reveals a cell and iteratively reveals adjacent cells if the clicked cell has no adjacent mines.
  * Implements the flood-fill algorithm for revealing empty cells.
  * 
- * @param {Array<Array<Object>>} board - The current game board
+ * @param {GameBoard} board - The current game board
  * @param {number} x - X coordinate of clicked cell
  * @param {number} y - Y coordinate of clicked cell
- * @returns {Array<Array<Object>>} New board with revealed cells
+ * @returns {GameBoard} New board with revealed cells, or the same board if nothing changed
  */
 export const revealCell = (board, x, y) => {
     // Early return if the cell is invalid, revealed, or flagged
-    if (!isValidCell(board, x, y) || 
-        board[y][x].status === CELL_STATUS.REVEALED || 
-        board[y][x].status === CELL_STATUS.FLAGGED) {
+    if (!isValidCell(board, x, y)) return board;
+    const index = toIndex(board, x, y);
+    if (board.status[index] === CELL_STATUS_CODE.REVEALED ||
+        board.status[index] === CELL_STATUS_CODE.FLAGGED) {
         return board;
     }
 
-    // Create a new board copy
-    const newBoard = board.map(row => row.map(cell => ({...cell})));
-    
-    // Function to reveal a single cell
-    const reveal = (x, y) => {
-        // Also check for flagged status in the recursive reveal
-        if (!isValidCell(newBoard, x, y) || 
-            newBoard[y][x].status === CELL_STATUS.REVEALED || 
-            newBoard[y][x].status === CELL_STATUS.FLAGGED) {
-            return;
-        }
+    const status = board.status.slice();
+    floodReveal(board, status, index);
+    return { ...board, status };
+};
 
-        newBoard[y][x].status = CELL_STATUS.REVEALED;
+/**
+ * Chords on a revealed number: when the flags around it match its number,
+ * every unflagged hidden neighbour is revealed at once (flood-filling empty cells).
+ * A wrong flag makes the chord reveal a mine, exactly like in classic Minesweeper.
+ * Exploded mines count as flags, since everyone knows where they are.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @param {number} x - X coordinate of the revealed number
+ * @param {number} y - Y coordinate of the revealed number
+ * @returns {GameBoard} New board with neighbours revealed, or the same board if chording is not possible
+ */
+export const chordCell = (board, x, y) => {
+    if (!isValidCell(board, x, y)) return board;
 
-        // If it's an empty cell, reveal neighbors
-        if (newBoard[y][x].adjacentMines === 0 && !newBoard[y][x].isMine) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    reveal(x + dx, y + dy);
-                }
-            }
-        }
-    };
+    const index = toIndex(board, x, y);
+    if (board.status[index] !== CELL_STATUS_CODE.REVEALED || board.mines[index] || board.adjacent[index] === 0) {
+        return board;
+    }
 
-    // Start revealing from the clicked cell
-    reveal(x, y);
-    return newBoard;
+    const neighbours = getNeighbours(board, index);
+    const adjacentFlags = neighbours.filter(n => (
+        board.status[n] === CELL_STATUS_CODE.FLAGGED ||
+        (board.mines[n] && board.status[n] === CELL_STATUS_CODE.REVEALED)
+    )).length;
+    if (adjacentFlags !== board.adjacent[index]) return board;
+
+    const status = board.status.slice();
+    let revealed = 0;
+    neighbours.forEach(neighbour => {
+        revealed += floodReveal(board, status, neighbour);
+    });
+
+    return revealed > 0 ? { ...board, status } : board;
 };
 
 /**
  * Toggles a flag on a cell. A flagged cell cannot be revealed until unflagged.
+ * When question marks are enabled the mark cycles flag → question mark → hidden;
+ * question-marked cells can still be revealed.
+ * Placed flags belong to the player who placed them; a removed flag takes its owner and disputes along.
+ * Which of two players flagging the same cell owns it depends on the order their actions are applied in,
+ * which peers agree on (see compareCellActions): the earliest flag owns the cell, the other one disputes it.
  * 
- * @param {Array<Array<Object>>} board - The current game board
+ * @param {GameBoard} board - The current game board
  * @param {number} x - X coordinate of cell to flag
  * @param {number} y - Y coordinate of cell to flag
- * @returns {Array<Array<Object>>} New board with updated flag state
+ * @param {boolean} [questionMarks=false] - Whether the question mark state is part of the cycle
+ * @param {string|null} [peerId=null] - Player placing or removing the flag
+ * @returns {GameBoard} New board with updated flag state
  */
-export const toggleFlag = (board, x, y) => {
-    if (!isValidCell(board, x, y) || board[y][x].status === CELL_STATUS.REVEALED) {
+export const toggleFlag = (board, x, y, questionMarks = false, peerId = null) => {
+    if (!isValidCell(board, x, y)) return board;
+    const index = toIndex(board, x, y);
+    const current = board.status[index];
+    if (current === CELL_STATUS_CODE.REVEALED) {
         return board;
     }
 
-    const newBoard = board.map(row => row.map(cell => ({...cell})));
-    newBoard[y][x].status = 
-        newBoard[y][x].status === CELL_STATUS.FLAGGED
-            ? CELL_STATUS.HIDDEN
-            : CELL_STATUS.FLAGGED;
+    const status = board.status.slice();
+    const flagOwners = { ...board.flagOwners };
+    const disputes = { ...board.disputes };
+    delete flagOwners[index];
+    delete disputes[index];
+    if (current === CELL_STATUS_CODE.HIDDEN) {
+        status[index] = CELL_STATUS_CODE.FLAGGED;
+        if (peerId) flagOwners[index] = peerId;
+    } else if (current === CELL_STATUS_CODE.FLAGGED && questionMarks) {
+        status[index] = CELL_STATUS_CODE.QUESTION;
+    } else {
+        status[index] = CELL_STATUS_CODE.HIDDEN;
+    }
 
-    return newBoard;
+    return { ...board, status, flagOwners, disputes };
+};
+
+/**
+ * Checks whether a flag belongs to another player, who alone can remove it when flags are owned.
+ * Flags of unknown owners, e.g. on imported boards, belong to no one.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @param {string} peerId - Player who wants to remove the flag
+ * @returns {boolean} True if the cell holds a flag placed by someone else
+ */
+export const isFlagOwnedByOther = (board, x, y, peerId) => {
+    if (!isValidCell(board, x, y)) return false;
+    const index = toIndex(board, x, y);
+    const owner = board.flagOwners?.[index];
+    return board.status[index] === CELL_STATUS_CODE.FLAGGED && Boolean(owner) && owner !== peerId;
+};
+
+/**
+ * Disputes a flag placed by another player, or withdraws the dispute when it was already made.
+ * Disputes only mark the flag, its owner decides whether to remove it.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @param {number} x - X coordinate of the flagged cell
+ * @param {number} y - Y coordinate of the flagged cell
+ * @param {string} peerId - Player disputing the flag
+ * @returns {GameBoard} New board with updated disputes
+ */
+export const disputeFlag = (board, x, y, peerId) => {
+    if (!isFlagOwnedByOther(board, x, y, peerId)) return board;
+    const index = toIndex(board, x, y);
+    const current = board.disputes?.[index] || [];
+    const updated = current.includes(peerId) ? current.filter(id => id !== peerId) : [...current, peerId];
+
+    const disputes = { ...board.disputes };
+    if (updated.length > 0) {
+        disputes[index] = updated;
+    } else {
+        delete disputes[index];
+    }
+    return { ...board, disputes };
 };
 
 /**
  * Reveals all mines on the board, typically called when game is over.
  * Maintains the state of non-mine cells.
  * 
- * @param {Array<Array<Object>>} board - The current game board
- * @returns {Array<Array<Object>>} New board with all mines revealed
+ * @param {GameBoard} board - The current game board
+ * @returns {GameBoard} New board with all mines revealed
  */
 export const revealAllMines = (board) => {
-    return board.map(row => 
-        row.map(cell => ({
-            ...cell,
-            // Reveal all mines, even if they were flagged
-            status: cell.isMine || cell.status === CELL_STATUS.REVEALED 
-                ? CELL_STATUS.REVEALED 
-                : cell.status
-        }))
-    );
+    const status = board.status.slice();
+    for (let index = 0; index < status.length; index++) {
+        // Reveal all mines, even if they were flagged
+        if (board.mines[index]) {
+            status[index] = CELL_STATUS_CODE.REVEALED;
+        }
+    }
+    return { ...board, status };
 };
 
 /**
- * Checks if the game is won by verifying all non-mine cells are revealed
- * and no mines are revealed.
+ * Reveals every cell of the board, typically called when the game is won.
+ * Void cells are not part of the board and stay as they are.
  * 
- * @param {Array<Array<Object>>} board - The current game board
+ * @param {GameBoard} board - The current game board
+ * @returns {GameBoard} New board with all cells revealed
+ */
+export const revealAllCells = (board) => {
+    const status = new Uint8Array(board.status.length).fill(CELL_STATUS_CODE.REVEALED);
+    if (board.voids) {
+        board.voids.forEach((isVoid, index) => {
+            if (isVoid) status[index] = board.status[index];
+        });
+    }
+    return { ...board, status };
+};
+
+/**
+ * Checks if the game is won by verifying all non-mine cells are revealed, void cells aside.
+ * Mines exploded while the team still had lives left don't prevent the win,
+ * losing is always checked first.
+ * 
+ * @param {GameBoard} board - The current game board
  * @returns {boolean} True if game is won, false otherwise
  */
 export const checkWinCondition = (board) => {
-    return board.every(row => 
-        row.every(cell => 
-            (cell.isMine && cell.status !== CELL_STATUS.REVEALED) ||
-            (!cell.isMine && cell.status === CELL_STATUS.REVEALED)
-        )
-    );
+    for (let index = 0; index < board.status.length; index++) {
+        if (!board.mines[index] && !board.voids?.[index] && board.status[index] !== CELL_STATUS_CODE.REVEALED) {
+            return false;
+        }
+    }
+    return true;
 };
 
+/**
+ * Counts the exploded mines, i.e. the revealed mines: each one is a mine someone hit.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @returns {number} Number of revealed mines on the board
+ */
+export const countExplodedMines = (board) => {
+    let count = 0;
+    for (let index = 0; index < board.status.length; index++) {
+        if (board.mines[index] && board.status[index] === CELL_STATUS_CODE.REVEALED) count++;
+    }
+    return count;
+};
+
+/**
+ * Counts the lives the team has left. Lives are derived from the exploded mines of the board,
+ * so every peer applying the same cell actions agrees on them.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @param {Object} rules - Game rules created with createGameRules
+ * @returns {number} Lives left, 0 when the game is lost
+ */
+export const getLivesLeft = (board, rules) => Math.max(0, rules.lives - countExplodedMines(board));
+
+/**
+ * Checks if mines have already been placed on the board.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @returns {boolean} True if the board holds at least one mine
+ */
+export const hasMinesPlaced = (board) => board.mines.includes(1);
+
 /**
  * Counts the total number of flags placed on the board.
- * Used to track remaining mines for the player.
+ * Used to track remaining mines for the player. Question marks are not counted,
+ * as they don't commit to a mine.
  * 
- * @param {Array<Array<Object>>} board - The current game board
+ * @param {GameBoard} board - The current game board
  * @returns {number} Total number of flags on the board
  */
 export const countFlags = (board) => {
-    return board.reduce((count, row) => 
-        count + row.reduce((rowCount, cell) => 
-            rowCount + (cell.status === CELL_STATUS.FLAGGED ? 1 : 0)
-        , 0)
-    , 0);
+    let count = 0;
+    for (let index = 0; index < board.status.length; index++) {
+        if (board.status[index] === CELL_STATUS_CODE.FLAGGED) count++;
+    }
+    return count;
 };
 
 /**
- * Creates a minimal representation of a cell for network transmission.
- * Includes only essential properties to minimize network traffic.
+ * Analyzes the mine layout of a board with the standard Minesweeper metrics.
+ * 
+ * - Openings: connected areas of cells with no adjacent mines, each cleared by a single click
+ * - 3BV (Bechtel's Board Benchmark Value): minimum number of left clicks needed to clear the
+ *   board, i.e. one per opening plus one per numbered cell that doesn't border an opening
+ * - Islands: connected groups of those numbered cells that don't border an opening
+ * 
+ * Every click-worth of the board (an opening or a lone number) is a "unit": units[i] holds
+ * the unit of cell i, or -1 for mines, void cells and numbers revealed along with an opening.
  * 
- * @param {Object} cell - The cell to create blueprint from
- * @returns {Object} Minimal cell representation for network sync
+ * @param {GameBoard} board - Board with mines placed
+ * @returns {{ bbbv: number, openings: number, islands: number, units: Int32Array }} Board metrics
  */
-export const createCellBlueprint = (cell) => ({
-    status: cell.status,
-    isMine: cell.isMine,
-    adjacentMines: cell.adjacentMines
-});
+export const analyzeBoard = (board) => {
+    const { offsets, list } = getNeighbourTable(board);
+    const size = board.mines.length;
+    const units = new Int32Array(size).fill(-1);
+    const isEmpty = (index) => !board.mines[index] && !board.voids?.[index] && board.adjacent[index] === 0;
+    let unitCount = 0;
+
+    // Visits the connected cells accepted by a filter, starting from one cell
+    const visitComponent = (start, accepts, visited, visit) => {
+        const stack = [start];
+        visited[start] = 1;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            visit(index);
+            for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+                const neighbour = list[n];
+                if (!visited[neighbour] && accepts(neighbour)) {
+                    visited[neighbour] = 1;
+                    stack.push(neighbour);
+                }
+            }
+        }
+    };
+
+    // Openings: every empty cell of an opening shares its unit
+    const inOpening = new Uint8Array(size);
+    let openings = 0;
+    for (let index = 0; index < size; index++) {
+        if (!isEmpty(index) || inOpening[index]) continue;
+        const unit = unitCount++;
+        visitComponent(index, isEmpty, inOpening, (cell) => {
+            units[cell] = unit;
+        });
+        openings++;
+    }
+
+    // Numbers that no opening reveals need a click each
+    const isLoneNumber = (index) => {
+        if (board.mines[index] || board.adjacent[index] === 0) return false;
+        for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+            if (isEmpty(list[n])) return false;
+        }
+        return true;
+    };
+
+    const inIsland = new Uint8Array(size);
+    let islands = 0;
+    for (let index = 0; index < size; index++) {
+        if (!isLoneNumber(index)) continue;
+        units[index] = unitCount++;
+        if (!inIsland[index]) {
+            visitComponent(index, isLoneNumber, inIsland, () => {});
+            islands++;
+        }
+    }
+
+    return { bbbv: unitCount, openings, islands, units };
+};
 
 /**
- * Creates a minimal representation of the entire board for network transmission.
+ * Creates a compact representation of the board for network transmission.
+ * Statuses are encoded as one digit (CELL_STATUS_CODE) per cell, flags and question
+ * marks included, and mines as a list of cell indices; adjacent counts are recomputed on arrival.
+ * The owners and disputes of flags are kept by cell index.
  * 
- * @param {Array<Array<Object>>} board - The game board
- * @returns {Array<Array<Object>>} Board blueprint for network sync
+ * @param {GameBoard} board - The game board
+ * @returns {{ width: number, height: number, status: string, mines: Array<number>, flagOwners: Object, disputes: Object }} Board blueprint for network sync
  */
 export const createBoardBlueprint = (board) => {
-    return board.map(row => 
-        row.map(cell => createCellBlueprint(cell))
-    );
+    const mines = [];
+    for (let index = 0; index < board.mines.length; index++) {
+        if (board.mines[index]) mines.push(index);
+    }
+
+    return {
+        width: board.width,
+        height: board.height,
+        status: board.status.join(''),
+        mines,
+        flagOwners: board.flagOwners || {},
+        disputes: board.disputes || {}
+    };
 };
 
 /**
  * Applies a received board blueprint to update the local game state.
- * Preserves existing cell properties not included in the blueprint.
+ * Preserves the mine layout if the blueprint doesn't include one.
  * 
- * @param {Array<Array<Object>>} board - The current game board
- * @param {Array<Array<Object>>} blueprint - The received board blueprint
- * @returns {Array<Array<Object>>} Updated game board
+ * @param {GameBoard} board - The current game board
+ * @param {Object} blueprint - The received board blueprint
+ * @returns {GameBoard} Updated game board
  */
 export const applyBoardBlueprint = (board, blueprint) => {
-    return board.map((row, y) => 
-        row.map((cell, x) => {
-            const blueprintCell = blueprint[y][x];
-            return {
-                ...cell,
-                status: blueprintCell.status,
-                ...(blueprintCell.isMine !== undefined && {
-                    isMine: blueprintCell.isMine,
-                    adjacentMines: blueprintCell.adjacentMines
-                })
-            };
-        })
-    );
+    const status = new Uint8Array(board.status.length);
+    for (let index = 0; index < status.length; index++) {
+        status[index] = blueprint.status.charCodeAt(index) - 48;
+    }
+
+    // Blueprints made before flags had owners, e.g. imported boards, have none
+    const flagOwners = blueprint.flagOwners || {};
+    const disputes = blueprint.disputes || {};
+
+    if (!blueprint.mines?.length) {
+        return { ...board, status, flagOwners, disputes };
+    }
+
+    const mines = new Uint8Array(board.mines.length);
+    blueprint.mines.forEach(index => {
+        mines[index] = 1;
+    });
+
+    return {
+        ...board,
+        status,
+        flagOwners,
+        disputes,
+        mines,
+        adjacent: countAdjacentMines(board, mines)
+    };
 };
 
 /**
@@ -316,6 +696,100 @@ export const formatTime = (seconds) => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Checks whether a game mode has players competing against each other.
+ * 
+ * @param {string} [mode] - GAME_MODE of the game, cooperative when omitted
+ * @returns {boolean} True for competitive modes
+ */
+export const isCompetitiveMode = (mode) => Boolean(mode) && mode !== GAME_MODE.COOPERATIVE;
+
+/**
+ * Picks the cell a race starts from. Racers don't choose their first click: every peer
+ * reveals this cell for its player, so all copies of the board get the same mine layout.
+ * 
+ * @param {GameBoard} board - Empty board of the race
+ * @param {number} seed - Game seed
+ * @returns {{ x: number, y: number }} Coordinates of the start cell, never a void cell
+ */
+export const getRaceStartCell = (board, seed) => {
+    const playable = [];
+    for (let index = 0; index < board.status.length; index++) {
+        if (!board.voids?.[index]) playable.push(index);
+    }
+
+    // Layout attempts salt the seed from 0 up, so the start cell is drawn apart from them
+    const random = createSeededRandom(deriveSeed(seed, RACE_START_SALT));
+    const index = playable[Math.floor(random() * playable.length)];
+    return { x: index % board.width, y: Math.floor(index / board.width) };
+};
+
+/**
+ * Measures how much of a board is cleared, as the share of its safe cells that are revealed.
+ * Rounded down, so only a cleared board reaches 100.
+ * 
+ * @param {GameBoard} board - The current game board
+ * @returns {number} Percentage of safe cells revealed, from 0 to 100
+ */
+export const getClearedPercentage = (board) => {
+    let safe = 0;
+    let revealed = 0;
+    for (let index = 0; index < board.status.length; index++) {
+        if (board.mines[index] || board.voids?.[index]) continue;
+        safe++;
+        if (board.status[index] === CELL_STATUS_CODE.REVEALED) revealed++;
+    }
+    return safe > 0 ? Math.floor((revealed / safe) * 100) : 0;
+};
+
+/**
+ * Ranks the players of a race: those who cleared their board by finish time,
+ * then everyone else by how much of their board they cleared.
+ * 
+ * @param {Object} standings - Progress of each player by peerId, as shared in RACE_PROGRESS messages
+ * @returns {Array<Object>} Progress of each player with their peerId, best first
+ */
+export const rankRacers = (standings) => Object.entries(standings)
+    .map(([peerId, progress]) => ({ peerId, ...progress }))
+    .sort((a, b) => {
+        const aWon = a.status === GAME_STATUS.WON;
+        const bWon = b.status === GAME_STATUS.WON;
+        if (aWon !== bWon) return aWon ? -1 : 1;
+        if (aWon) return a.time - b.time;
+        return b.cleared - a.cleared;
+    });
+
+/**
+ * Builds the set of rules every peer needs to apply cell actions identically.
+ * Derived only from synced data (game configuration and seed) so all peers agree.
+ *
+ * @param {Object} config - Game configuration
+ * @param {number} seed - Game seed received with GAME_START
+ * @returns {Object} Rules object with mine count, seed, board generation options, lives, assistance, marking and flag options, teams and turns
+ */
+export const createGameRules = (config, seed) => ({
+    mines: config.bombs,
+    seed,
+    mode: config.mode || GAME_MODE.COOPERATIVE,
+    noGuess: Boolean(config.noGuess),
+    // Logic can only start from an opening, so no-guess games always guarantee one,
+    // and races open their start cell for every player
+    firstClick: config.noGuess || config.mode === GAME_MODE.RACE ? FIRST_CLICK.OPENING : config.firstClick || FIRST_CLICK.OPENING,
+    // Players of elimination games are out at their first mine hit, there are no shared lives
+    lives: config.mode === GAME_MODE.ELIMINATION ? 1 : Math.max(1, parseInt(config.lives) || 1),
+    // Hints and the heatmap are coaching aids, competitive games never allow them
+    hints: isCompetitiveMode(config.mode) ? 0 : parseInt(config.hints) || 0,
+    heatmap: Boolean(config.heatmap) && !isCompetitiveMode(config.mode),
+    questionMarks: Boolean(config.questionMarks),
+    // Team of each player by peerId, in team games
+    teams: config.teams || {},
+    // Whether only the player who placed a flag can remove it, others can only dispute it
+    ownedFlags: Boolean(config.ownedFlags),
+    // Players in the order they take turns, and how long each turn lasts, in turn games
+    turnOrder: config.turnOrder || [],
+    turnSeconds: Math.max(1, parseInt(config.turnSeconds) || DEFAULT_TURN_SECONDS)
+});
+
 /**
  * Action type constants for cell-level network messages.
  * Used instead of full board state broadcasts to avoid race conditions
@@ -325,23 +799,30 @@ export const CELL_ACTION_TYPES = {
     FIRST_REVEAL: 'FIRST_REVEAL',
     REVEAL: 'REVEAL',
     FLAG: 'FLAG',
+    HINT: 'HINT',
+    CHORD: 'CHORD',
 };
 
 /**
  * Applies a single cell action received from a network peer to the local board.
+ * FIRST_REVEAL only carries coordinates and the generation attempt: the mine layout is
+ * regenerated from the shared seed, exactly as the peer who clicked first generated it.
  *
- * @param {Array<Array<Object>>} board - The current local game board
+ * @param {GameBoard} board - The current local game board
  * @param {Object} action - The cell action to apply
  * @param {string} action.action - One of CELL_ACTION_TYPES
  * @param {number} action.x - X coordinate of the target cell
  * @param {number} action.y - Y coordinate of the target cell
- * @param {Array<Array<Object>>} [action.board] - Full board blueprint (only for FIRST_REVEAL)
- * @returns {{ board: Array<Array<Object>>, minesPlaced: boolean }} Updated board and mine placement flag
+ * @param {number} [action.attempt] - Layout attempt chosen by the first clicker (only for FIRST_REVEAL)
+ * @param {string} [action.kind] - Whether a hinted cell is 'safe' or a 'mine' (only for HINT)
+ * @param {string} [action.peerId] - Player who made the action, owning the flags they place
+ * @param {Object} rules - Game rules created with createGameRules
+ * @returns {{ board: GameBoard, minesPlaced: boolean }} Updated board and mine placement flag
  */
-export const applyCellAction = (board, action) => {
+export const applyCellAction = (board, action, rules) => {
     switch (action.action) {
         case CELL_ACTION_TYPES.FIRST_REVEAL: {
-            const boardWithMines = applyBoardBlueprint(board, action.board);
+            const boardWithMines = placeMines(board, rules.mines, action.x, action.y, rules.seed, action.attempt || 0, rules.firstClick);
             const revealedBoard = revealCell(boardWithMines, action.x, action.y);
             return { board: revealedBoard, minesPlaced: true };
         }
@@ -350,11 +831,470 @@ export const applyCellAction = (board, action) => {
             return { board: revealedBoard, minesPlaced: false };
         }
         case CELL_ACTION_TYPES.FLAG: {
-            const flaggedBoard = toggleFlag(board, action.x, action.y);
+            // With owned flags, flagging someone else's flag disputes it instead of removing it,
+            // peers applying actions by time agree on whose flag came first
+            if (rules.ownedFlags && isFlagOwnedByOther(board, action.x, action.y, action.peerId)) {
+                return { board: disputeFlag(board, action.x, action.y, action.peerId), minesPlaced: false };
+            }
+            const flaggedBoard = toggleFlag(board, action.x, action.y, rules.questionMarks, action.peerId);
             return { board: flaggedBoard, minesPlaced: false };
         }
+        case CELL_ACTION_TYPES.CHORD: {
+            const chordedBoard = chordCell(board, action.x, action.y);
+            return { board: chordedBoard, minesPlaced: false };
+        }
+        case CELL_ACTION_TYPES.HINT:
+            // Hints only highlight a cell and spend the shared budget, the board is unchanged
+            return { board, minesPlaced: false };
         default:
             console.warn('Unknown cell action type:', action.action);
             return { board, minesPlaced: false };
     }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Applies a list of cell actions in order, the way peers apply them during the game:
+ * a FIRST_REVEAL arriving after the mines were placed is a plain reveal.
+ * Used to rebuild a board from the actions applied so far.
+ *
+ * @param {GameBoard} board - Board to start from
+ * @param {Array<Object>} actions - Cell actions to apply
+ * @param {Object} rules - Game rules created with createGameRules
+ * @returns {GameBoard} Board with every action applied
+ */
+export const applyCellActions = (board, actions, rules) => actions.reduce((current, action) => {
+    if (action.action === CELL_ACTION_TYPES.FIRST_REVEAL && hasMinesPlaced(current)) {
+        return revealCell(current, action.x, action.y);
+    }
+    return applyCellAction(current, action, rules).board;
+}, board);
+
+/**
+ * Compares two cell actions in the order every peer applies them: by the time they were made,
+ * then by the player who made them. Peers receive actions in different orders, applying them
+ * in this one makes all of them agree on the board and on who revealed or flagged what.
+ * Actions of the same player at the same time keep the order they were made in,
+ * which is also the order every peer receives them in.
+ *
+ * @param {Object} a - Cell action with the time it was made, tagged with the peerId of its player
+ * @param {Object} b - Cell action with the time it was made, tagged with the peerId of its player
+ * @returns {number} Negative if a comes first, positive if b does, 0 if they keep their order
+ */
+export const compareCellActions = (a, b) => {
+    if (a.time !== b.time) return a.time - b.time;
+    if (a.peerId === b.peerId) return 0;
+    return a.peerId < b.peerId ? -1 : 1;
+};
+
+/**
+ * Message types of a cooperative undo vote.
+ * A player proposes undoing the last action, the others vote and the proposer
+ * announces the result; an approved undo rolls every peer back to the same board.
+ */
+export const UNDO_MESSAGE_TYPES = {
+    PROPOSAL: 'UNDO_PROPOSAL',
+    VOTE: 'UNDO_VOTE',
+    RESULT: 'UNDO_RESULT'
+};
+
+/**
+ * Message types of a race. Racers never share their cell actions, only their progress:
+ * how much of their board they cleared, whether they are still playing and their finish time.
+ */
+export const RACE_MESSAGE_TYPES = {
+    PROGRESS: 'RACE_PROGRESS'
+};
+
+/**
+ * Message types of a turn game. The player whose turn it is passes it on and tells peers
+ * which player's turn it is now, numbering turns so late messages can be told apart.
+ */
+export const TURN_MESSAGE_TYPES = {
+    STATE: 'TURN_STATE'
+};
+
+// Kind of click each cell action counts as in the game statistics
+const CLICK_KINDS = {
+    [CELL_ACTION_TYPES.FIRST_REVEAL]: 'left',
+    [CELL_ACTION_TYPES.REVEAL]: 'left',
+    [CELL_ACTION_TYPES.FLAG]: 'right',
+    [CELL_ACTION_TYPES.CHORD]: 'chord'
+};
+
+/**
+ * Creates the click statistics of a new game.
+ * 
+ * @returns {Object} Empty game statistics, to be updated with recordGameAction
+ */
+export const createGameStats = () => ({
+    analysis: null,
+    solved: null,
+    startTime: null,
+    players: {}
+});
+
+/**
+ * Counts what a cell action changed on the board: safe cells revealed, flags placed,
+ * flags placed on safe cells and mines set off.
+ * 
+ * @param {GameBoard} before - Board before the action
+ * @param {GameBoard} after - Board after the action
+ * @returns {{ revealed: number, flags: number, wrongFlags: number, minesHit: number }} Cells changed by the action
+ */
+const countCellChanges = (before, after) => {
+    const changes = { revealed: 0, flags: 0, wrongFlags: 0, minesHit: 0 };
+    if (before.status === after.status) return changes;
+
+    for (let index = 0; index < after.status.length; index++) {
+        const is = after.status[index];
+        if (before.status[index] === is) continue;
+
+        const isMine = Boolean(after.mines[index]);
+        if (is === CELL_STATUS_CODE.REVEALED) {
+            if (isMine) changes.minesHit++;
+            else changes.revealed++;
+        } else if (is === CELL_STATUS_CODE.FLAGGED) {
+            changes.flags++;
+            if (!isMine) changes.wrongFlags++;
+        }
+    }
+    return changes;
+};
+
+/**
+ * Records a cell action in the game statistics: counts the click for the player who made it,
+ * credits them with the 3BV units (see analyzeBoard) their click solved, and with the cells
+ * it revealed, the flags it placed, wrong ones included, and the mines it set off.
+ * The board is analyzed as soon as its mines are known; units already revealed at that
+ * point (e.g. when joining mid-game) count for the team but for no player.
+ * 
+ * @param {Object} stats - Current game statistics
+ * @param {Object} action - Applied cell action, tagged with the peerId of the player who made it
+ * @param {GameBoard} before - Board before the action
+ * @param {GameBoard} after - Board after the action
+ * @returns {Object} Updated game statistics
+ */
+export const recordGameAction = (stats, action, before, after) => {
+    const kind = CLICK_KINDS[action.action];
+    if (!kind) return stats;
+
+    let { analysis, solved } = stats;
+    if (!analysis && hasMinesPlaced(after)) {
+        analysis = analyzeBoard(after);
+        solved = new Uint8Array(analysis.bbbv);
+        before.status.forEach((status, index) => {
+            if (status === CELL_STATUS_CODE.REVEALED && analysis.units[index] >= 0) {
+                solved[analysis.units[index]] = 1;
+            }
+        });
+    }
+
+    let gained = 0;
+    if (analysis && before.status !== after.status) {
+        solved = solved.slice();
+        for (let index = 0; index < after.status.length; index++) {
+            const unit = analysis.units[index];
+            if (unit >= 0 && !solved[unit] && after.status[index] === CELL_STATUS_CODE.REVEALED) {
+                solved[unit] = 1;
+                gained++;
+            }
+        }
+    }
+
+    const player = stats.players[action.peerId] ||
+        { left: 0, right: 0, chord: 0, solved: 0, revealed: 0, flags: 0, wrongFlags: 0, minesHit: 0 };
+    const changes = countCellChanges(before, after);
+    return {
+        analysis,
+        solved,
+        // Timed from when the first action was made, so rebuilding the statistics keeps it
+        startTime: stats.startTime ?? action.time ?? Date.now(),
+        players: {
+            ...stats.players,
+            [action.peerId]: {
+                ...player,
+                [kind]: player[kind] + 1,
+                solved: player.solved + gained,
+                revealed: player.revealed + changes.revealed,
+                flags: player.flags + changes.flags,
+                wrongFlags: player.wrongFlags + changes.wrongFlags,
+                minesHit: player.minesHit + changes.minesHit
+            }
+        }
+    };
+};
+
+/**
+ * Derives the speed and efficiency figures of a set of clicks.
+ * 
+ * @param {number} clicks - Number of clicks
+ * @param {number} solved - 3BV solved with those clicks
+ * @param {number} seconds - Time spent
+ * @returns {{ clicks: number, solved: number, bbbvPerSecond: number, efficiency: number }} Figures, efficiency as a ratio
+ */
+const summarizeClicks = (clicks, solved, seconds) => ({
+    clicks,
+    solved,
+    bbbvPerSecond: seconds > 0 ? solved / seconds : 0,
+    efficiency: clicks > 0 ? solved / clicks : 0
+});
+
+/**
+ * Summarizes the game statistics for the end screen, for the team and for each player.
+ * Time is counted from the first click.
+ * 
+ * @param {Object} stats - Game statistics
+ * @param {number} [endTime=Date.now()] - Timestamp at which the game ended
+ * @returns {Object} Board metrics (bbbv, openings, islands), duration, team figures and per-player figures,
+ *                   with the cells revealed, flags, wrong flags and mines hit of each
+ */
+export const summarizeGameStats = (stats, endTime = Date.now()) => {
+    const seconds = stats.startTime ? Math.max(0, (endTime - stats.startTime) / 1000) : 0;
+    const players = Object.entries(stats.players).map(([peerId, player]) => ({
+        peerId,
+        left: player.left,
+        right: player.right,
+        chord: player.chord,
+        revealed: player.revealed,
+        flags: player.flags,
+        wrongFlags: player.wrongFlags,
+        minesHit: player.minesHit,
+        ...summarizeClicks(player.left + player.right + player.chord, player.solved, seconds)
+    }));
+
+    const total = (key) => players.reduce((sum, player) => sum + player[key], 0);
+    const teamSolved = stats.solved ? stats.solved.reduce((sum, value) => sum + value, 0) : 0;
+
+    return {
+        bbbv: stats.analysis?.bbbv ?? 0,
+        openings: stats.analysis?.openings ?? 0,
+        islands: stats.analysis?.islands ?? 0,
+        seconds,
+        team: {
+            revealed: total('revealed'),
+            flags: total('flags'),
+            wrongFlags: total('wrongFlags'),
+            minesHit: total('minesHit'),
+            ...summarizeClicks(total('clicks'), teamSolved, seconds)
+        },
+        players
+    };
+};
+
+/**
+ * Points a team scores in team games, for each cell an action of one of its players changed.
+ * Removing a flag takes back what placing it scored, so flags can't be toggled for points.
+ * The opening of the first click is free and scores for no one.
+ */
+export const TEAM_SCORING = {
+    REVEALED_CELL: 1,
+    CORRECT_FLAG: 2,
+    WRONG_FLAG: -2,
+    MINE_HIT: -10
+};
+
+/**
+ * Finds the team of a player. Players the lobby didn't assign, e.g. who joined
+ * after the game started, are put in a team derived from their peerId so every peer agrees.
+ * 
+ * @param {Object} teams - TEAM of each player by peerId, from the synced configuration
+ * @param {string} peerId - ID of the player
+ * @returns {string} TEAM of the player
+ */
+export const getPlayerTeam = (teams, peerId) => {
+    if (teams[peerId]) return teams[peerId];
+    let sum = 0;
+    for (let i = 0; i < peerId.length; i++) sum += peerId.charCodeAt(i);
+    return sum % 2 === 0 ? TEAM.RED : TEAM.BLUE;
+};
+
+/**
+ * Creates the scores of a new team game.
+ * 
+ * @returns {Object} Points of each TEAM, all 0
+ */
+export const createTeamScores = () => ({
+    [TEAM.RED]: 0,
+    [TEAM.BLUE]: 0
+});
+
+/**
+ * Scores a cell action for the team of the player who made it (see TEAM_SCORING).
+ * Removing a flag takes its points back from the team of the player who placed it.
+ * Scores only depend on the boards before and after each action, so they match on every peer
+ * as long as actions are applied in the same order, see compareCellActions.
+ * 
+ * @param {Object} scores - Current points of each team
+ * @param {Object} action - Applied cell action, tagged with the peerId of the player who made it
+ * @param {GameBoard} before - Board before the action
+ * @param {GameBoard} after - Board after the action
+ * @param {Object} teams - TEAM of each player by peerId
+ * @returns {Object} Updated points of each team
+ */
+export const recordTeamAction = (scores, action, before, after, teams) => {
+    // The first click is protected by the first-click rule, its opening scores for no one
+    if (before.status === after.status || action.action === CELL_ACTION_TYPES.FIRST_REVEAL) return scores;
+
+    const playerTeam = getPlayerTeam(teams, action.peerId);
+    const updated = { ...scores };
+    let changed = false;
+    for (let index = 0; index < after.status.length; index++) {
+        const was = before.status[index];
+        const is = after.status[index];
+        if (was === is) continue;
+
+        const isMine = Boolean(after.mines[index]);
+        if (is === CELL_STATUS_CODE.REVEALED) {
+            updated[playerTeam] += isMine ? TEAM_SCORING.MINE_HIT : TEAM_SCORING.REVEALED_CELL;
+            changed = true;
+        } else if (is === CELL_STATUS_CODE.FLAGGED || was === CELL_STATUS_CODE.FLAGGED) {
+            const flag = isMine ? TEAM_SCORING.CORRECT_FLAG : TEAM_SCORING.WRONG_FLAG;
+            if (is === CELL_STATUS_CODE.FLAGGED) {
+                updated[playerTeam] += flag;
+            } else {
+                const placer = before.flagOwners?.[index];
+                updated[placer ? getPlayerTeam(teams, placer) : playerTeam] -= flag;
+            }
+            changed = true;
+        }
+    }
+    return changed ? updated : scores;
+};
+
+/**
+ * Finds the team leading a team game.
+ * 
+ * @param {Object} scores - Points of each team
+ * @returns {string|null} TEAM with the most points, or null on a draw
+ */
+export const getLeadingTeam = (scores) => {
+    if (scores[TEAM.RED] === scores[TEAM.BLUE]) return null;
+    return scores[TEAM.RED] > scores[TEAM.BLUE] ? TEAM.RED : TEAM.BLUE;
+};
+
+/**
+ * Points a player scores in territory games, for each cell one of their actions changed.
+ * Hitting a mine costs far more than a cell is worth, so guessing doesn't pay.
+ * The opening of the first click is free and is claimed by no one.
+ */
+export const TERRITORY_SCORING = {
+    CLAIMED_CELL: 1,
+    MINE_HIT: -25
+};
+
+/**
+ * Creates the territory of a new territory game.
+ * 
+ * @param {number} size - Number of cells of the board
+ * @returns {{ claims: Array<string|null>, players: Object }} No cell claimed, no player scored
+ */
+export const createTerritory = (size) => ({
+    claims: new Array(size).fill(null),
+    players: {}
+});
+
+/**
+ * Claims the safe cells a cell action revealed for the player who made it, and scores
+ * the cells and mines it revealed (see TERRITORY_SCORING), whether they were opened by a reveal
+ * or a chord. Claims only depend on the boards before and after each action: when two players
+ * open the same cells, the cells go to the earliest action, as long as every peer applies
+ * actions in the same order (see compareCellActions).
+ * 
+ * @param {Object} territory - Current claims and figures of each player
+ * @param {Object} action - Applied cell action, tagged with the peerId of the player who made it
+ * @param {GameBoard} before - Board before the action
+ * @param {GameBoard} after - Board after the action
+ * @returns {Object} Updated claims and figures of each player
+ */
+export const recordTerritoryAction = (territory, action, before, after) => {
+    // The first click is protected by the first-click rule, its opening is claimed by no one
+    if (before.status === after.status || action.action === CELL_ACTION_TYPES.FIRST_REVEAL) return territory;
+
+    let claims = territory.claims;
+    let cells = 0;
+    let minesHit = 0;
+    for (let index = 0; index < after.status.length; index++) {
+        if (after.status[index] !== CELL_STATUS_CODE.REVEALED || before.status[index] === CELL_STATUS_CODE.REVEALED) continue;
+
+        if (after.mines[index]) {
+            minesHit++;
+        } else {
+            if (claims === territory.claims) claims = claims.slice();
+            claims[index] = action.peerId;
+            cells++;
+        }
+    }
+    if (cells === 0 && minesHit === 0) return territory;
+
+    const player = territory.players[action.peerId] || { cells: 0, minesHit: 0, points: 0 };
+    return {
+        claims,
+        players: {
+            ...territory.players,
+            [action.peerId]: {
+                cells: player.cells + cells,
+                minesHit: player.minesHit + minesHit,
+                points: player.points + cells * TERRITORY_SCORING.CLAIMED_CELL + minesHit * TERRITORY_SCORING.MINE_HIT
+            }
+        }
+    };
+};
+
+/**
+ * Ranks the players of a territory game by points, then by cells claimed.
+ * 
+ * @param {Object} territory - Claims and figures of each player
+ * @returns {Array<Object>} Figures of each player { peerId, cells, minesHit, points }, best first
+ */
+export const rankTerritory = (territory) => Object.entries(territory.players)
+    .map(([peerId, player]) => ({ peerId, ...player }))
+    .sort((a, b) => b.points - a.points || b.cells - a.cells);
+
+/**
+ * Creates a compact representation of a territory for players joining mid-game,
+ * with the cells claimed by each player as lists of cell indices.
+ * 
+ * @param {Object} territory - Claims and figures of each player
+ * @returns {{ claims: Object, players: Object }} Territory blueprint
+ */
+export const createTerritoryBlueprint = (territory) => {
+    const claims = {};
+    territory.claims.forEach((peerId, index) => {
+        if (peerId) (claims[peerId] = claims[peerId] || []).push(index);
+    });
+    return { claims, players: territory.players };
+};
+
+/**
+ * Rebuilds a territory from its blueprint.
+ * 
+ * @param {Object} blueprint - Territory blueprint, see createTerritoryBlueprint
+ * @param {number} size - Number of cells of the board
+ * @returns {Object} Claims and figures of each player
+ */
+export const applyTerritoryBlueprint = (blueprint, size) => {
+    const territory = createTerritory(size);
+    Object.entries(blueprint.claims).forEach(([peerId, indices]) => {
+        indices.forEach(index => {
+            territory.claims[index] = peerId;
+        });
+    });
+    return { ...territory, players: blueprint.players };
+};
+
+/**
+ * Puts the player who made a cell action out of an elimination game when the action
+ * revealed a mine. Players are out in the order their actions are applied, which every peer
+ * agrees on (see compareCellActions), so two players hitting mines at about the same time
+ * go out in the order they clicked, not the order their clicks arrived in.
+ * 
+ * @param {Array<string>} eliminated - peerIds of the players out, first out first
+ * @param {Object} action - Applied cell action, tagged with the peerId of the player who made it
+ * @param {GameBoard} before - Board before the action
+ * @param {GameBoard} after - Board after the action
+ * @returns {Array<string>} Updated players out
+ */
+export const recordEliminationAction = (eliminated, action, before, after) => {
+    if (eliminated.includes(action.peerId) || countExplodedMines(after) === countExplodedMines(before)) return eliminated;
+    return [...eliminated, action.peerId];
+};
@@ -0,0 +1,562 @@
+import { CELL_STATUS_CODE } from '../constants/gameTypes';
+import { getNeighbourTable, getNeighbours, toCoordinates, toIndex } from './boardGeometry';
+
+/**
+ * Logical Minesweeper solver based on constraint propagation.
+ *
+ * Works on a "view" of the board: which cells are revealed and the numbers shown on them.
+ * Void cells of shaped boards are marked as revealed: everyone knows they hold no mine,
+ * and having no neighbours they never produce a constraint.
+ * Every revealed number produces a constraint "these hidden neighbours contain N mines",
+ * and constraints are combined until no more cells can be proven safe or mined.
+ *
+ * A view has the shape:
+ * @typedef {Object} SolverView
+ * @property {Object} grid - Board shape used to find neighbours (see boardGeometry)
+ * @property {Uint8Array} revealed - 1 for every revealed cell index (y * width + x)
+ * @property {Uint8Array} numbers - Adjacent mine count for each cell (only read for revealed cells)
+ * @property {number} [totalMines] - Total mines on the board, enables the mine count rule
+ * @property {Set<number>} [exploded] - Mines someone hit, known to every player (see createPlayerView)
+ */
+
+/**
+ * Lists the revealed cells that still touch at least one unrevealed cell.
+ * Only these cells can produce constraints, so large cleared areas are skipped.
+ *
+ * @param {SolverView} view - Board view
+ * @returns {Array<number>} Indices of revealed cells on the frontier
+ */
+const findFrontier = (view) => {
+    const { grid, revealed } = view;
+    const { offsets, list } = getNeighbourTable(grid);
+    const frontier = [];
+
+    for (let index = 0; index < revealed.length; index++) {
+        if (!revealed[index]) continue;
+        for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+            if (!revealed[list[n]]) {
+                frontier.push(index);
+                break;
+            }
+        }
+    }
+
+    return frontier;
+};
+
+/**
+ * Builds one constraint per revealed number that still touches undecided cells.
+ *
+ * @param {SolverView} view - Board view
+ * @param {Array<number>} frontier - Revealed cells touching unrevealed cells
+ * @param {Set<number>} safe - Cells already proven safe
+ * @param {Set<number>} mines - Cells already proven to be mines
+ * @returns {Array<Object>} Constraints with cells, a lookup set and the mines left among them
+ */
+const buildConstraints = (view, frontier, safe, mines) => {
+    const { grid, revealed, numbers } = view;
+    const constraints = [];
+
+    frontier.forEach(index => {
+        const cells = [];
+        let minesLeft = numbers[index];
+        getNeighbours(grid, index).forEach(neighbour => {
+            if (mines.has(neighbour)) {
+                minesLeft--;
+            } else if (!revealed[neighbour] && !safe.has(neighbour)) {
+                cells.push(neighbour);
+            }
+        });
+
+        if (cells.length > 0) {
+            constraints.push({ cells, set: new Set(cells), mines: minesLeft });
+        }
+    });
+
+    return constraints;
+};
+
+/**
+ * Marks every cell of a list as safe or as a mine.
+ *
+ * @param {Array<number>} cells - Cells to mark
+ * @param {Set<number>} target - Set of safe cells or mine cells
+ * @returns {boolean} True if at least one cell was newly marked
+ */
+const markAll = (cells, target) => {
+    let progress = false;
+    cells.forEach(cell => {
+        if (!target.has(cell)) {
+            target.add(cell);
+            progress = true;
+        }
+    });
+    return progress;
+};
+
+/**
+ * Resolves constraints that are fully determined on their own
+ * (no mines left, or as many mines left as cells).
+ */
+const applySingleRule = (constraints, safe, mines) => {
+    let progress = false;
+    constraints.forEach(constraint => {
+        if (constraint.mines === 0) {
+            progress = markAll(constraint.cells, safe) || progress;
+        } else if (constraint.mines === constraint.cells.length) {
+            progress = markAll(constraint.cells, mines) || progress;
+        }
+    });
+    return progress;
+};
+
+/**
+ * Compares every pair of overlapping constraints. The number of mines in their shared
+ * cells is bounded by both constraints, which can settle the cells only one of them sees.
+ * This covers the classic subset rule and patterns such as 1-2-1.
+ */
+const applyPairRule = (constraints, safe, mines) => {
+    const constraintsByCell = new Map();
+    constraints.forEach((constraint, id) => {
+        constraint.cells.forEach(cell => {
+            if (!constraintsByCell.has(cell)) constraintsByCell.set(cell, []);
+            constraintsByCell.get(cell).push(id);
+        });
+    });
+
+    let progress = false;
+    constraints.forEach((a, aId) => {
+        const compared = new Set();
+        a.cells.forEach(cell => {
+            constraintsByCell.get(cell).forEach(bId => {
+                if (bId <= aId || compared.has(bId)) return;
+                compared.add(bId);
+
+                const b = constraints[bId];
+                const onlyA = a.cells.filter(c => !b.set.has(c));
+                const onlyB = b.cells.filter(c => !a.set.has(c));
+                const shared = a.cells.length - onlyA.length;
+
+                const minShared = Math.max(0, a.mines - onlyA.length, b.mines - onlyB.length);
+                const maxShared = Math.min(a.mines, b.mines, shared);
+
+                [[a, onlyA], [b, onlyB]].forEach(([constraint, only]) => {
+                    if (only.length === 0) return;
+                    if (constraint.mines - minShared === 0) {
+                        progress = markAll(only, safe) || progress;
+                    } else if (constraint.mines - maxShared === only.length) {
+                        progress = markAll(only, mines) || progress;
+                    }
+                });
+            });
+        });
+    });
+    return progress;
+};
+
+/**
+ * Uses the total mine count: if every remaining mine is accounted for, all other
+ * undecided cells are safe, and if undecided cells equal remaining mines, they are all mines.
+ */
+const applyMineCountRule = (view, safe, mines) => {
+    if (view.totalMines === undefined) return false;
+
+    const minesLeft = view.totalMines - mines.size;
+    const undecidedCount = view.unrevealedCount - safe.size - mines.size;
+    if (undecidedCount === 0 || (minesLeft !== 0 && minesLeft !== undecidedCount)) return false;
+
+    const undecided = [];
+    for (let index = 0; index < view.revealed.length; index++) {
+        if (!view.revealed[index] && !safe.has(index) && !mines.has(index)) {
+            undecided.push(index);
+        }
+    }
+
+    return markAll(undecided, minesLeft === 0 ? safe : mines);
+};
+
+/**
+ * Finds every hidden cell that can be proven safe or proven to be a mine
+ * from the revealed numbers alone.
+ *
+ * @param {SolverView} view - Board view
+ * @param {Set<number>} [knownMines] - Mines already proven in a previous pass
+ * @returns {{ safe: Set<number>, mines: Set<number> }} Proven safe cells and proven mines
+ */
+export const deduceCells = (view, knownMines = new Set()) => {
+    const safe = new Set();
+    const mines = new Set(knownMines);
+    const frontier = findFrontier(view);
+    const unrevealedCount = view.revealed.length - view.revealed.reduce((sum, value) => sum + value, 0);
+    const countedView = { ...view, unrevealedCount };
+
+    let progress = true;
+    while (progress) {
+        const constraints = buildConstraints(countedView, frontier, safe, mines);
+        progress = applySingleRule(constraints, safe, mines) ||
+            applyPairRule(constraints, safe, mines) ||
+            applyMineCountRule(countedView, safe, mines);
+    }
+
+    return { safe, mines };
+};
+
+/**
+ * Checks whether a board with mines placed can be fully cleared by logic alone,
+ * starting from the opening of the first click and never guessing.
+ *
+ * @param {Object} board - Board with mines placed and adjacent counts calculated
+ * @param {number} firstX - X coordinate of first click
+ * @param {number} firstY - Y coordinate of first click
+ * @param {number} [deadline=Infinity] - Timestamp after which the check gives up and reports false
+ * @returns {boolean} True if a logical solver clears every safe cell
+ */
+export const isSolvableWithoutGuessing = (board, firstX, firstY, deadline = Infinity) => {
+    const { offsets, list } = getNeighbourTable(board);
+    const size = board.mines.length;
+    const totalMines = board.mines.reduce((sum, value) => sum + value, 0);
+    const view = { grid: board, revealed: new Uint8Array(size), numbers: board.adjacent, totalMines };
+    let safeCellsLeft = size - totalMines;
+    if (board.voids) {
+        board.voids.forEach((isVoid, index) => {
+            view.revealed[index] = isVoid;
+            safeCellsLeft -= isVoid;
+        });
+    }
+
+    // Reveals a proven safe cell, flooding through empty cells like a real click would
+    const reveal = (start) => {
+        const stack = [start];
+        while (stack.length > 0) {
+            const index = stack.pop();
+            if (view.revealed[index] || board.mines[index]) continue;
+            view.revealed[index] = 1;
+            safeCellsLeft--;
+            if (board.adjacent[index] === 0) {
+                for (let n = offsets[index]; n < offsets[index + 1]; n++) {
+                    stack.push(list[n]);
+                }
+            }
+        }
+    };
+
+    const firstIndex = toIndex(board, firstX, firstY);
+    if (board.mines[firstIndex]) return false;
+    reveal(firstIndex);
+
+    let knownMines = new Set();
+    while (safeCellsLeft > 0) {
+        if (Date.now() > deadline) return false;
+        const { safe, mines } = deduceCells(view, knownMines);
+        knownMines = mines;
+        if (safe.size === 0) return false;
+        safe.forEach(reveal);
+    }
+
+    return true;
+};
+
+/**
+ * Builds the solver view of a board as a player sees it: revealed cells and their numbers.
+ * Void cells count as revealed.
+ * Flags are deliberately not trusted as mines, since a teammate may have misplaced one.
+ * Exploded mines stay unrevealed in the view and are listed apart, to be passed to
+ * deduceCells as known mines.
+ *
+ * @param {Object} board - The current game board
+ * @param {number} totalMines - Total mines on the board, as shown in the mine counter
+ * @returns {SolverView} View of the board for the solver
+ */
+export const createPlayerView = (board, totalMines) => {
+    const size = board.status.length;
+    const revealed = new Uint8Array(size);
+    const numbers = new Uint8Array(size);
+    const exploded = new Set();
+
+    for (let index = 0; index < size; index++) {
+        if (board.voids?.[index]) {
+            revealed[index] = 1;
+            continue;
+        }
+        if (board.status[index] !== CELL_STATUS_CODE.REVEALED) continue;
+        if (board.mines[index]) {
+            exploded.add(index);
+        } else {
+            revealed[index] = 1;
+            numbers[index] = board.adjacent[index];
+        }
+    }
+
+    return { grid: board, revealed, numbers, totalMines, exploded };
+};
+
+/**
+ * Finds the hidden cells a player can prove to be safe or to be mines from what is revealed.
+ * Mines that are already flagged or exploded are left out, as there is nothing left to do with them.
+ *
+ * @param {Object} board - The current game board
+ * @param {number} totalMines - Total mines on the board
+ * @returns {{ safe: Array<Object>, mines: Array<Object> }} Coordinates ({x, y}) of provable cells
+ */
+export const findDeducibleCells = (board, totalMines) => {
+    const view = createPlayerView(board, totalMines);
+    const { safe, mines } = deduceCells(view, view.exploded);
+    const sortIndices = (indices) => [...indices].sort((a, b) => a - b);
+
+    return {
+        safe: sortIndices(safe).map(index => toCoordinates(board, index)),
+        mines: sortIndices(mines)
+            .filter(index => board.status[index] !== CELL_STATUS_CODE.FLAGGED && !view.exploded.has(index))
+            .map(index => toCoordinates(board, index))
+    };
+};
+
+// Components with more undecided cells than this are approximated instead of enumerated
+const MAX_EXACT_CELLS = 18;
+// Beyond this many components, the leftover mines are spread by average density instead of exactly
+const MAX_EXACT_COMPONENTS = 8;
+
+/**
+ * Groups constraints that share cells, since only those influence each other.
+ *
+ * @param {Array<Object>} constraints - Constraints from buildConstraints
+ * @returns {Array<Object>} Components with their cells and constraints
+ */
+const groupConstraints = (constraints) => {
+    const parent = constraints.map((_, id) => id);
+    const find = (id) => {
+        while (parent[id] !== id) {
+            parent[id] = parent[parent[id]];
+            id = parent[id];
+        }
+        return id;
+    };
+
+    const ownerByCell = new Map();
+    constraints.forEach((constraint, id) => {
+        constraint.cells.forEach(cell => {
+            if (ownerByCell.has(cell)) {
+                parent[find(id)] = find(ownerByCell.get(cell));
+            } else {
+                ownerByCell.set(cell, id);
+            }
+        });
+    });
+
+    const components = new Map();
+    constraints.forEach((constraint, id) => {
+        const root = find(id);
+        if (!components.has(root)) components.set(root, { cells: new Set(), constraints: [] });
+        const component = components.get(root);
+        component.constraints.push(constraint);
+        constraint.cells.forEach(cell => component.cells.add(cell));
+    });
+
+    return [...components.values()].map(component => ({
+        cells: [...component.cells],
+        constraints: component.constraints
+    }));
+};
+
+/**
+ * Enumerates every mine arrangement of a component that satisfies all its constraints.
+ *
+ * @param {Object} component - Component from groupConstraints
+ * @returns {{ ways: Array<number>, cellWays: Array<Float64Array> }} Number of arrangements with k mines,
+ * and for each k how many of them place a mine on each cell of the component
+ */
+const enumerateComponent = (component) => {
+    const { cells, constraints } = component;
+    const position = new Map(cells.map((cell, i) => [cell, i]));
+    const constraintsOfCell = cells.map(() => []);
+    const placed = constraints.map(() => 0);
+    const open = constraints.map(constraint => constraint.cells.length);
+    constraints.forEach((constraint, id) => {
+        constraint.cells.forEach(cell => constraintsOfCell[position.get(cell)].push(id));
+    });
+
+    const ways = new Array(cells.length + 1).fill(0);
+    const cellWays = ways.map(() => new Float64Array(cells.length));
+    const assignment = new Uint8Array(cells.length);
+
+    const search = (i, mines) => {
+        if (i === cells.length) {
+            ways[mines]++;
+            assignment.forEach((value, cell) => {
+                if (value) cellWays[mines][cell]++;
+            });
+            return;
+        }
+
+        for (let value = 0; value <= 1; value++) {
+            let valid = true;
+            constraintsOfCell[i].forEach(id => {
+                placed[id] += value;
+                open[id]--;
+                const target = constraints[id].mines;
+                if (placed[id] > target || placed[id] + open[id] < target) valid = false;
+            });
+            if (valid) {
+                assignment[i] = value;
+                search(i + 1, mines + value);
+            }
+            constraintsOfCell[i].forEach(id => {
+                placed[id] -= value;
+                open[id]++;
+            });
+        }
+        assignment[i] = 0;
+    };
+
+    search(0, 0);
+    return { ways, cellWays };
+};
+
+/**
+ * Multiplies two polynomials given as coefficient arrays (ways to place k mines).
+ *
+ * @param {Array<number>} a - First polynomial
+ * @param {Array<number>} b - Second polynomial
+ * @returns {Array<number>} Product, normalized so the coefficients sum to 1
+ */
+const convolve = (a, b) => {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => {
+        if (x === 0) return;
+        b.forEach((y, j) => {
+            result[i + j] += x * y;
+        });
+    });
+    const total = result.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? result.map(value => value / total) : result;
+};
+
+/**
+ * Adds up values given as logarithms without leaving log space.
+ *
+ * @param {Array<number>} logs - Logarithms of the values
+ * @returns {number} Logarithm of their sum
+ */
+const logSumExp = (logs) => {
+    const max = Math.max(...logs);
+    if (max === -Infinity) return -Infinity;
+    return max + Math.log(logs.reduce((sum, value) => sum + Math.exp(value - max), 0));
+};
+
+/**
+ * Computes the probability of each hidden cell being a mine, given the revealed numbers
+ * and the total mine count. Flags are not trusted, just like for hints.
+ *
+ * Cells proven by the solver get 0 or 1. The remaining cells touching revealed numbers are
+ * split into independent components, which are enumerated exactly when small enough.
+ * Each arrangement of a component is weighted by the ways to spread the leftover mines
+ * over the cells nobody has information about; with many components this weight is
+ * approximated by the average mine density. Components too large to enumerate are
+ * approximated from the density of their constraints.
+ *
+ * @param {Object} board - The current game board
+ * @param {number} totalMines - Total mines on the board
+ * @returns {Float32Array} Mine probability of every cell, -1 for revealed and void cells and 1 for exploded mines
+ */
+export const calculateMineProbabilities = (board, totalMines) => {
+    const view = createPlayerView(board, totalMines);
+    const size = view.revealed.length;
+    const probabilities = new Float32Array(size).fill(-1);
+    const { safe, mines } = deduceCells(view, view.exploded);
+    const unrevealedCount = size - view.revealed.reduce((sum, value) => sum + value, 0);
+    const constraints = buildConstraints({ ...view, unrevealedCount }, findFrontier(view), safe, mines);
+
+    safe.forEach(cell => {
+        probabilities[cell] = 0;
+    });
+    mines.forEach(cell => {
+        probabilities[cell] = 1;
+    });
+
+    let approximatedMines = 0;
+    let approximatedCells = 0;
+    const exact = [];
+    groupConstraints(constraints).forEach(component => {
+        if (component.cells.length <= MAX_EXACT_CELLS) {
+            exact.push({ ...component, ...enumerateComponent(component) });
+            return;
+        }
+
+        // Large components: average the mine density of the constraints each cell belongs to
+        const densities = new Map();
+        component.constraints.forEach(constraint => {
+            const density = constraint.mines / constraint.cells.length;
+            constraint.cells.forEach(cell => {
+                densities.set(cell, [...(densities.get(cell) || []), density]);
+            });
+        });
+        densities.forEach((values, cell) => {
+            const probability = values.reduce((sum, value) => sum + value, 0) / values.length;
+            probabilities[cell] = probability;
+            approximatedMines += probability;
+        });
+        approximatedCells += component.cells.length;
+    });
+
+    // Cells with no revealed neighbour share the mines nobody has located
+    const exactCells = exact.reduce((sum, component) => sum + component.cells.length, 0);
+    const otherCells = unrevealedCount - safe.size - mines.size - exactCells - approximatedCells;
+    const minesLeft = Math.max(0, Math.round(totalMines - mines.size - approximatedMines));
+
+    const logFactorial = new Float64Array(size + 1);
+    for (let n = 1; n <= size; n++) {
+        logFactorial[n] = logFactorial[n - 1] + Math.log(n);
+    }
+    const logChoose = (n, k) => (k < 0 || k > n ? -Infinity : logFactorial[n] - logFactorial[k] - logFactorial[n - k]);
+
+    // Log weight of component c holding k mines, over every arrangement of the other components
+    let componentLogWeight;
+    if (exact.length <= MAX_EXACT_COMPONENTS) {
+        const distributions = exact.map(component => {
+            const total = component.ways.reduce((sum, value) => sum + value, 0);
+            return component.ways.map(value => value / total);
+        });
+        const combineExcept = (skip) => distributions.reduce(
+            (product, distribution, i) => (i === skip ? product : convolve(product, distribution)),
+            [1]
+        );
+        const others = exact.map((_, c) => combineExcept(c));
+        componentLogWeight = (c, k) => logSumExp(others[c].map((value, j) => (
+            value > 0 ? Math.log(value) + logChoose(otherCells, minesLeft - k - j) : -Infinity
+        )));
+    } else {
+        const density = Math.min(0.99, Math.max(0.01, minesLeft / Math.max(1, otherCells + exactCells)));
+        const logOdds = Math.log(density / (1 - density));
+        componentLogWeight = (c, k) => k * logOdds;
+    }
+
+    let expectedExactMines = 0;
+    exact.forEach((component, c) => {
+        const logWeights = component.ways.map((ways, k) => (ways > 0 ? componentLogWeight(c, k) : -Infinity));
+        const max = Math.max(...logWeights);
+        // Contradictory weights (e.g. after approximations): fall back to counting arrangements
+        const weights = logWeights.map((value, k) => {
+            if (max === -Infinity) return component.ways[k] > 0 ? 1 : 0;
+            return Math.exp(value - max);
+        });
+        const total = weights.reduce((sum, weight, k) => sum + weight * component.ways[k], 0);
+        if (total === 0) return;
+
+        expectedExactMines += weights.reduce((sum, weight, k) => sum + weight * component.ways[k] * k, 0) / total;
+        component.cells.forEach((cell, i) => {
+            const mined = weights.reduce((sum, weight, k) => sum + weight * component.cellWays[k][i], 0);
+            probabilities[cell] = mined / total;
+        });
+    });
+
+    if (otherCells > 0) {
+        const otherProbability = Math.min(1, Math.max(0, (minesLeft - expectedExactMines) / otherCells));
+        for (let index = 0; index < size; index++) {
+            if (!view.revealed[index] && probabilities[index] === -1) {
+                probabilities[index] = otherProbability;
+            }
+        }
+    }
+
+    return probabilities;
+};
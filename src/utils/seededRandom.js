@@ -0,0 +1,43 @@
+/**
+ * Generates a new random seed for a game.
+ * Uses the Web Crypto API when available so seeds are well distributed.
+ *
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export const createSeed = () => {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000);
+};
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32) from a seed.
+ * Every peer using the same seed obtains the exact same sequence of numbers,
+ * which is what allows boards to be regenerated locally instead of transmitted.
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning a float in the range [0, 1) on each call
+ */
+export const createSeededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Derives a new seed from a base seed and a salt, e.g. a generation attempt number.
+ * A salt of 0 returns the base seed unchanged.
+ *
+ * @param {number} seed - Base 32-bit seed
+ * @param {number} salt - Integer mixed into the seed
+ * @returns {number} Derived unsigned 32-bit seed
+ */
+export const deriveSeed = (seed, salt) => {
+    return (seed ^ Math.imul(salt, 0x9E3779B1)) >>> 0;
+};